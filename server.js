@@ -1,11 +1,30 @@
 // Simple HTTP server for local development
-// Run with: node server.js
+// Run with: node server.js (tests import createServer / createRoundStore)
+//
+// Besides static files it serves a reference implementation of the
+// server-authoritative round API (JSON, in-process store):
+//   POST /api/rounds                     start a round { grid, mines, clientSeed }
+//   POST /api/rounds/:roundId/reveal     reveal a tile { row, col }
+//   POST /api/rounds/:roundId/cashout    cash out an active round
+//   GET  /api/rounds                     finished rounds, newest first
 
-const http = require('http');
-const fs = require('fs');
-const path = require('path');
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createFairRound, generateSeed } from './src/fair.js';
+import {
+  computeMultiplier,
+  computeNextMultiplier,
+  DEFAULT_HOUSE_EDGE,
+} from './src/payout.js';
 
-const PORT = 3000;
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PORT = Number(process.env.PORT) || 3000;
+const MAX_BODY_BYTES = 16 * 1024;
+const HISTORY_LIMIT = 100;
+// Active rounds nobody has touched for this long are dropped
+const ROUND_IDLE_TIMEOUT = 30 * 60 * 1000;
 
 const mimeTypes = {
   '.html': 'text/html',
@@ -26,39 +45,264 @@ const mimeTypes = {
   '.ico': 'image/x-icon'
 };
 
-const server = http.createServer((req, res) => {
-  console.log(`${req.method} ${req.url}`);
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
 
-  // Parse URL
-  let filePath = '.' + req.url;
-  if (filePath === './') {
-    filePath = './index.html';
+// In-process round store. Outcomes come from the provably-fair layout, so a
+// finished round can be checked with verifyRound() from src/fair.js.
+// Finished rounds are kept while they are in the history; abandoned ones
+// for idleTimeout ms after their last request.
+export function createRoundStore({
+  houseEdge = DEFAULT_HOUSE_EDGE,
+  historyLimit = HISTORY_LIMIT,
+  idleTimeout = ROUND_IDLE_TIMEOUT,
+  now = Date.now,
+} = {}) {
+  const rounds = new Map(); // roundId -> round, in order of the last request
+  const finished = [];
+  const nonces = new Map(); // clientSeed -> next nonce
+  let nextRoundId = 1;
+
+  function getRound(roundId) {
+    const round = rounds.get(roundId);
+    if (!round) throw httpError(404, `Unknown round ${roundId}`);
+    return round;
   }
 
-  // Get file extension
-  const extname = String(path.extname(filePath)).toLowerCase();
-  const contentType = mimeTypes[extname] || 'application/octet-stream';
+  // Re-inserting keeps the Map ordered by the last request
+  function touch(round) {
+    round.touchedAt = now();
+    rounds.delete(round.roundId);
+    rounds.set(round.roundId, round);
+  }
 
-  // Read and serve file
-  fs.readFile(filePath, (error, content) => {
-    if (error) {
-      if (error.code === 'ENOENT') {
-        res.writeHead(404, { 'Content-Type': 'text/html' });
-        res.end('<h1>404 - File Not Found</h1>', 'utf-8');
-      } else {
-        res.writeHead(500);
-        res.end(`Server Error: ${error.code}`, 'utf-8');
-      }
+  function dropIdleRounds() {
+    for (const round of rounds.values()) {
+      if (now() - round.touchedAt < idleTimeout) break;
+      if (round.status === 'active') rounds.delete(round.roundId);
+    }
+  }
+
+  function getActiveRound(roundId) {
+    const round = getRound(roundId);
+    if (round.status !== 'active') {
+      throw httpError(409, `Round ${roundId} is already ${round.status}`);
+    }
+    return round;
+  }
+
+  function finish(round, status) {
+    round.status = status;
+    round.finishedAt = now();
+    round.result = round.fair.reveal();
+    finished.unshift(round);
+    for (const old of finished.splice(historyLimit)) rounds.delete(old.roundId);
+  }
+
+  function toJSON(round) {
+    const { grid, mines } = round;
+    const revealed = round.revealed.length;
+    const over = round.status !== 'active';
+    return {
+      roundId: round.roundId,
+      status: round.status,
+      ...round.fair.getPublicInfo(),
+      revealed: round.revealed.slice(),
+      multiplier:
+        round.status === 'lost'
+          ? 0
+          : computeMultiplier({ grid, mines, revealed, houseEdge }),
+      nextMultiplier: over
+        ? null
+        : computeNextMultiplier({ grid, mines, revealed, houseEdge }),
+      bombPositions: over ? round.result.bombPositions : null,
+      startedAt: round.startedAt,
+      finishedAt: round.finishedAt ?? null,
+    };
+  }
+
+  async function start({ grid = 5, mines = 5, clientSeed } = {}) {
+    if (!Number.isInteger(grid) || grid < 2 || grid > 10) {
+      throw httpError(400, `Invalid grid ${grid}`);
+    }
+    if (!Number.isInteger(mines) || mines < 1 || mines >= grid * grid) {
+      throw httpError(400, `Invalid mines ${mines} for grid ${grid}`);
+    }
+
+    dropIdleRounds();
+    const seed = clientSeed ? String(clientSeed) : generateSeed(8);
+    const nonce = nonces.get(seed) ?? 0;
+    nonces.set(seed, nonce + 1);
+
+    const roundId = String(nextRoundId++);
+    const fair = await createFairRound({ grid, mines, clientSeed: seed, nonce });
+    const round = {
+      roundId,
+      grid,
+      mines,
+      fair,
+      status: 'active',
+      revealed: [],
+      startedAt: now(),
+    };
+    touch(round);
+    return toJSON(round);
+  }
+
+  function reveal(roundId, { row, col } = {}) {
+    const round = getActiveRound(roundId);
+    touch(round);
+    const { grid, mines } = round;
+    if (
+      !Number.isInteger(row) || !Number.isInteger(col) ||
+      row < 0 || col < 0 || row >= grid || col >= grid
+    ) {
+      throw httpError(400, `Invalid tile ${row},${col}`);
+    }
+    if (round.revealed.some((p) => p.row === row && p.col === col)) {
+      throw httpError(409, `Tile ${row},${col} is already revealed`);
+    }
+
+    const face = round.fair.isBomb(row, col) ? 'bomb' : 'diamond';
+    if (face === 'bomb') {
+      finish(round, 'lost');
     } else {
-      res.writeHead(200, { 'Content-Type': contentType });
-      res.end(content, 'utf-8');
+      round.revealed.push({ row, col });
+      if (round.revealed.length >= grid * grid - mines) finish(round, 'won');
     }
+    return { face, row, col, ...toJSON(round) };
+  }
+
+  function cashOut(roundId) {
+    const round = getActiveRound(roundId);
+    touch(round);
+    if (!round.revealed.length) {
+      throw httpError(409, 'Reveal at least one tile before cashing out');
+    }
+    finish(round, 'cashed-out');
+    return toJSON(round);
+  }
+
+  function history() {
+    return finished.map(toJSON);
+  }
+
+  return { start, reveal, cashOut, history };
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(httpError(413, 'Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      if (!body) return resolve({});
+      let data;
+      try {
+        data = JSON.parse(body);
+      } catch {
+        return reject(httpError(400, 'Invalid JSON body'));
+      }
+      // Handlers destructure the body; null or an array would throw there
+      if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+        return reject(httpError(400, 'JSON body must be an object'));
+      }
+      resolve(data);
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store',
   });
-});
+  res.end(JSON.stringify(data));
+}
+
+async function handleApi(roundStore, req, res, pathname) {
+  const parts = pathname.split('/').filter(Boolean); // ['api', 'rounds', ...]
+
+  try {
+    if (parts[1] !== 'rounds' || parts.length > 4) {
+      throw httpError(404, 'Not found');
+    }
 
-server.listen(PORT, () => {
-  console.log(`\n🚀 Server running at http://localhost:${PORT}/`);
-  console.log(`📂 Serving files from: ${__dirname}`);
-  console.log(`\n✨ Open your browser and navigate to: http://localhost:${PORT}/\n`);
-});
+    const [, , roundId, action] = parts;
+    let result;
+
+    if (!roundId && req.method === 'GET') {
+      result = roundStore.history();
+    } else if (!roundId && req.method === 'POST') {
+      result = await roundStore.start(await readJsonBody(req));
+    } else if (action === 'reveal' && req.method === 'POST') {
+      result = roundStore.reveal(roundId, await readJsonBody(req));
+    } else if (action === 'cashout' && req.method === 'POST') {
+      result = roundStore.cashOut(roundId);
+    } else {
+      throw httpError(404, 'Not found');
+    }
 
+    sendJson(res, 200, result);
+  } catch (e) {
+    const status = e.status ?? 500;
+    if (status === 500) console.error(e);
+    sendJson(res, status, { error: status === 500 ? 'Server error' : e.message });
+  }
+}
+
+// Static files from the working directory plus the round API under /api/
+export function createServer({ store = createRoundStore(), logRequests = true } = {}) {
+  return http.createServer((req, res) => {
+    if (logRequests) console.log(`${req.method} ${req.url}`);
+
+    // Parse URL
+    const { pathname } = new URL(req.url, `http://${req.headers.host ?? 'localhost'}`);
+    if (pathname.startsWith('/api/')) {
+      handleApi(store, req, res, pathname);
+      return;
+    }
+
+    let filePath = '.' + pathname;
+    if (filePath === './') {
+      filePath = './index.html';
+    }
+
+    // Get file extension
+    const extname = String(path.extname(filePath)).toLowerCase();
+    const contentType = mimeTypes[extname] || 'application/octet-stream';
+
+    // Read and serve file
+    fs.readFile(filePath, (error, content) => {
+      if (error) {
+        if (error.code === 'ENOENT') {
+          res.writeHead(404, { 'Content-Type': 'text/html' });
+          res.end('<h1>404 - File Not Found</h1>', 'utf-8');
+        } else {
+          res.writeHead(500);
+          res.end(`Server Error: ${error.code}`, 'utf-8');
+        }
+      } else {
+        res.writeHead(200, { 'Content-Type': contentType });
+        res.end(content, 'utf-8');
+      }
+    });
+  });
+}
+
+// Listen only when run as a script
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const server = createServer();
+  server.listen(PORT, () => {
+    console.log(`\n🚀 Server running at http://localhost:${PORT}/`);
+    console.log(`📂 Serving files from: ${__dirname}`);
+    console.log(`\n✨ Open your browser and navigate to: http://localhost:${PORT}/\n`);
+  });
+}
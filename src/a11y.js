@@ -0,0 +1,156 @@
+// Screen-reader and keyboard layer for the canvas board.
+// A visually hidden DOM grid mirrors the tiles with ARIA grid roles and a
+// roving tabindex; arrow keys move between cells and Enter/Space picks one.
+// The canvas draws the focus ring, this layer only reports focus changes.
+
+import { createFormatter } from "./i18n.js";
+
+const defaultFormatter = createFormatter();
+
+const VISUALLY_HIDDEN = {
+  position: "absolute",
+  width: "1px",
+  height: "1px",
+  padding: "0",
+  margin: "-1px",
+  overflow: "hidden",
+  clip: "rect(0 0 0 0)",
+  whiteSpace: "nowrap",
+  border: "0",
+};
+
+// t is a formatter's translate function (see i18n.js)
+export function describeTile(row, col, face = "hidden", t = defaultFormatter.t) {
+  return t("tile.label", { row: row + 1, col: col + 1, face: t(`face.${face}`) });
+}
+
+export function createBoardMirror({
+  root,
+  t = defaultFormatter.t,
+  dir = "ltr",
+  label = t("board.label"),
+  onFocusTile,
+  onActivate,
+}) {
+  const gridEl = document.createElement("div");
+  gridEl.className = "mines-a11y-grid";
+  gridEl.setAttribute("role", "grid");
+  gridEl.setAttribute("aria-label", label);
+  Object.assign(gridEl.style, VISUALLY_HIDDEN);
+
+  const liveEl = document.createElement("div");
+  liveEl.className = "mines-a11y-live";
+  liveEl.setAttribute("role", "status");
+  liveEl.setAttribute("aria-live", "polite");
+  liveEl.dir = dir;
+  Object.assign(liveEl.style, VISUALLY_HIDDEN);
+
+  root.append(gridEl, liveEl);
+
+  let size = 0;
+  let cells = [];
+  let focusRow = 0;
+  let focusCol = 0;
+
+  function cellAt(row, col) {
+    return cells[row]?.[col] ?? null;
+  }
+
+  function rebuild(grid) {
+    size = grid;
+    gridEl.innerHTML = "";
+    cells = [];
+    focusRow = Math.min(focusRow, grid - 1);
+    focusCol = Math.min(focusCol, grid - 1);
+
+    for (let r = 0; r < grid; r++) {
+      const rowEl = document.createElement("div");
+      rowEl.setAttribute("role", "row");
+      const rowCells = [];
+      for (let c = 0; c < grid; c++) {
+        const cell = document.createElement("div");
+        cell.setAttribute("role", "gridcell");
+        cell.setAttribute("aria-label", describeTile(r, c, "hidden", t));
+        cell.tabIndex = r === focusRow && c === focusCol ? 0 : -1;
+        cell.addEventListener("focus", () => moveFocus(r, c, false));
+        cell.addEventListener("blur", () => {
+          // Focus may just be moving to another cell of the grid
+          setTimeout(() => {
+            if (!gridEl.contains(document.activeElement)) onFocusTile?.(null);
+          }, 0);
+        });
+        rowEl.appendChild(cell);
+        rowCells.push(cell);
+      }
+      gridEl.appendChild(rowEl);
+      cells.push(rowCells);
+    }
+  }
+
+  function moveFocus(row, col, focusElement = true) {
+    const prev = cellAt(focusRow, focusCol);
+    if (prev) prev.tabIndex = -1;
+
+    focusRow = Math.max(0, Math.min(size - 1, row));
+    focusCol = Math.max(0, Math.min(size - 1, col));
+
+    const cell = cellAt(focusRow, focusCol);
+    if (!cell) return;
+    cell.tabIndex = 0;
+    if (focusElement && document.activeElement !== cell) cell.focus();
+    onFocusTile?.({ row: focusRow, col: focusCol });
+  }
+
+  gridEl.addEventListener("keydown", (ev) => {
+    switch (ev.key) {
+      case "ArrowUp":
+        moveFocus(focusRow - 1, focusCol);
+        break;
+      case "ArrowDown":
+        moveFocus(focusRow + 1, focusCol);
+        break;
+      case "ArrowLeft":
+        moveFocus(focusRow, focusCol - 1);
+        break;
+      case "ArrowRight":
+        moveFocus(focusRow, focusCol + 1);
+        break;
+      case "Home":
+        moveFocus(focusRow, 0);
+        break;
+      case "End":
+        moveFocus(focusRow, size - 1);
+        break;
+      case "Enter":
+      case " ":
+        onActivate?.({ row: focusRow, col: focusCol });
+        break;
+      default:
+        return;
+    }
+    ev.preventDefault();
+  });
+
+  function updateTile(row, col, face) {
+    cellAt(row, col)?.setAttribute("aria-label", describeTile(row, col, face, t));
+  }
+
+  function announce(message) {
+    // Clear first so repeating the same message is announced again
+    liveEl.textContent = "";
+    setTimeout(() => {
+      liveEl.textContent = message;
+    }, 50);
+  }
+
+  function hasFocus() {
+    return gridEl.contains(document.activeElement);
+  }
+
+  function destroy() {
+    gridEl.remove();
+    liveEl.remove();
+  }
+
+  return { rebuild, updateTile, announce, hasFocus, destroy };
+}
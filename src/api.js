@@ -0,0 +1,60 @@
+// Public surface of a game instance, shared by the embedding layers
+// (the <mines-game> element and the iframe bridge).
+
+// Methods that can be forwarded; their arguments and results are plain data
+export const GAME_METHODS = Object.freeze([
+  "reset",
+  "setMines",
+  "setGrid",
+  "setTheme",
+  "getState",
+  "setBoardLayout",
+  "setClientSeed",
+  "placeBet",
+  "getBalance",
+  "cashOut",
+  "setAutoSelectMode",
+  "clearAutoSelection",
+  "startAutobet",
+  "stopAutobet",
+  "setVolume",
+  "setMuted",
+  "setEffectVolume",
+  "getSoundSettings",
+  "getReplay",
+  "playReplay",
+  "getHistory",
+  "getStats",
+  "clearHistory",
+  "setSelectedCardIsDiamond",
+  "SetSelectedCardIsBomb",
+  "resolveSelection",
+  "showWinPopup",
+  "setMotion",
+  "getMotion",
+  "setSpeed",
+  "getSpeed",
+  "getPerformanceProfile",
+]);
+
+// Methods that decide outcomes or show results. The iframe bridge only
+// forwards them when the framed page opts in (allowOutcomeControl).
+export const OUTCOME_METHODS = Object.freeze([
+  "setSelectedCardIsDiamond",
+  "SetSelectedCardIsBomb",
+  "resolveSelection",
+  "setBoardLayout",
+  "showWinPopup",
+]);
+
+export const GAME_EVENTS = Object.freeze([
+  "roundStart",
+  "tilePick",
+  "tileReveal",
+  "win",
+  "loss",
+  "cashOut",
+  "resize",
+  "destroy",
+  "change",
+]);
@@ -0,0 +1,89 @@
+// Autobet scheduler: plays rounds back to back, adjusting the bet after each
+// one and stopping on the round count or on profit/loss thresholds.
+// The game supplies playRound(bet), which resolves with
+// { outcome: "win" | "loss", multiplier, payout }.
+
+import { realClock, sleep } from "./clock.js";
+
+// rule: { mode: "reset" | "increase", percent }
+function nextBet(bet, baseBet, rule) {
+  if (rule?.mode === "increase") {
+    return bet * (1 + (rule.percent ?? 0) / 100);
+  }
+  return baseBet;
+}
+
+export function createAutobet({
+  playRound,
+  onRound,
+  onStop,
+  roundDelay = 1000,
+  clock = realClock,
+}) {
+  let running = false;
+  let stopRequested = false;
+
+  async function start({
+    rounds = 0, // 0 = until stopped
+    baseBet = 0,
+    onWin = { mode: "reset" },
+    onLoss = { mode: "reset" },
+    stopOnProfit = 0,
+    stopOnLoss = 0,
+  } = {}) {
+    if (running) return null;
+    running = true;
+    stopRequested = false;
+
+    let bet = baseBet;
+    let played = 0;
+    let profit = 0;
+    let reason = "stopped";
+    let error = null;
+
+    try {
+      while (!stopRequested) {
+        const result = await playRound(bet);
+        played += 1;
+        profit += result.payout - bet;
+        onRound?.({ round: played, bet, profit, ...result });
+
+        bet = nextBet(bet, baseBet, result.outcome === "win" ? onWin : onLoss);
+
+        if (rounds > 0 && played >= rounds) {
+          reason = "rounds";
+          break;
+        }
+        if (stopOnProfit > 0 && profit >= stopOnProfit) {
+          reason = "profit";
+          break;
+        }
+        if (stopOnLoss > 0 && -profit >= stopOnLoss) {
+          reason = "loss";
+          break;
+        }
+
+        await sleep(clock, roundDelay);
+      }
+    } catch (e) {
+      reason = "error";
+      error = e;
+    } finally {
+      running = false;
+    }
+
+    const summary = { reason, rounds: played, profit, error };
+    onStop?.(summary);
+    return summary;
+  }
+
+  function stop() {
+    stopRequested = true;
+  }
+
+  return {
+    start,
+    stop,
+    isRunning: () => running,
+  };
+}
@@ -0,0 +1,52 @@
+import type { MinesEvents, MinesGame } from "./mines.js";
+
+export const PROTOCOL: "mines";
+export const PROTOCOL_VERSION: 1;
+
+type ForwardedMethods = Omit<MinesGame, "app" | "on" | "off" | "once" | "destroy">;
+export type MinesMethodName = keyof ForwardedMethods;
+/** Forwarded only with allowOutcomeControl: true */
+export type MinesOutcomeMethodName =
+  | "setSelectedCardIsDiamond"
+  | "SetSelectedCardIsBomb"
+  | "resolveSelection"
+  | "setBoardLayout"
+  | "showWinPopup";
+
+export function exposeMinesGame(
+  game: MinesGame,
+  options: {
+    /** Origin of the host page; events are posted there */
+    parentOrigin: string;
+    /** Origins allowed to call methods (default: [parentOrigin]) */
+    allowedOrigins?: string[];
+    target?: Window;
+    /**
+     * Let the host page decide outcomes and show win popups
+     * (MinesOutcomeMethodName). Only for hosts you trust with settlement.
+     */
+    allowOutcomeControl?: boolean;
+    /**
+     * Methods the host may call (default: every method, minus the outcome
+     * methods unless allowOutcomeControl is set)
+     */
+    methods?: MinesMethodName[];
+  }
+): { destroy(): void };
+
+export interface MinesFrameClient {
+  /** Resolves once the framed game has announced itself */
+  ready: Promise<void>;
+  call<M extends MinesMethodName>(
+    method: M,
+    ...args: Parameters<ForwardedMethods[M]>
+  ): Promise<Awaited<ReturnType<ForwardedMethods[M]>>>;
+  on<K extends keyof MinesEvents>(event: K, listener: (payload: MinesEvents[K]) => void): () => void;
+  off<K extends keyof MinesEvents>(event: K, listener: (payload: MinesEvents[K]) => void): void;
+  destroy(): void;
+}
+
+export function connectMinesFrame(
+  iframe: HTMLIFrameElement,
+  options: { origin: string; timeout?: number }
+): MinesFrameClient;
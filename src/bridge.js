@@ -0,0 +1,198 @@
+// postMessage bridge for games running in an iframe.
+//
+// Inside the frame:   exposeMinesGame(game, { parentOrigin: "https://lobby.example" })
+// In the host page:   const mines = connectMinesFrame(iframe, { origin: "https://games.example" });
+//                     await mines.ready;
+//                     await mines.call("setMines", 3);
+//                     mines.on("win", ({ payout }) => ...);
+//
+// Messages are plain objects tagged with the protocol name and version:
+//   { protocol: "mines", version, type: "hello" }    host -> frame, answered with "ready"
+//   { protocol: "mines", version, type: "ready" }    frame -> host, also sent on start
+//   { protocol: "mines", version, type: "call", id, method, args }
+//   { protocol: "mines", version, type: "result", id, ok, result | error }
+//   { protocol: "mines", version, type: "event", event, payload }
+// Both sides drop messages from other windows or origins and answer calls
+// with an unsupported version with an error.
+//
+// The host page must not decide outcomes unless the framed page says so:
+// OUTCOME_METHODS are only forwarded with allowOutcomeControl: true.
+
+import { GAME_EVENTS, GAME_METHODS, OUTCOME_METHODS } from "./api.js";
+
+export const PROTOCOL = "mines";
+export const PROTOCOL_VERSION = 1;
+
+function isProtocolMessage(data) {
+  return Boolean(data) && typeof data === "object" && data.protocol === PROTOCOL;
+}
+
+function message(type, fields) {
+  return { protocol: PROTOCOL, version: PROTOCOL_VERSION, type, ...fields };
+}
+
+// Errors don't survive structured cloning everywhere; send the message only
+function describeError(error) {
+  return error instanceof Error ? error.message : String(error);
+}
+
+export function exposeMinesGame(
+  game,
+  {
+    parentOrigin, // origin of the host page; also where events are sent
+    allowedOrigins = [parentOrigin],
+    target = window.parent,
+    allowOutcomeControl = false, // forward OUTCOME_METHODS too
+    methods = allowOutcomeControl
+      ? GAME_METHODS
+      : GAME_METHODS.filter((m) => !OUTCOME_METHODS.includes(m)),
+  } = {}
+) {
+  if (!parentOrigin) throw new Error("exposeMinesGame: parentOrigin is required");
+  const outcomeMethod = methods.find((m) => OUTCOME_METHODS.includes(m));
+  if (outcomeMethod && !allowOutcomeControl) {
+    throw new Error(
+      `exposeMinesGame: "${outcomeMethod}" decides outcomes; pass allowOutcomeControl: true to forward it`
+    );
+  }
+  const allowed = new Set(allowedOrigins);
+  const exposed = new Set(methods.filter((m) => GAME_METHODS.includes(m)));
+
+  function post(msg) {
+    target.postMessage(msg, parentOrigin);
+  }
+
+  async function handleCall({ method, args }) {
+    if (!exposed.has(method) || typeof game[method] !== "function") {
+      throw new Error(`unknown method "${method}"`);
+    }
+    return game[method](...(Array.isArray(args) ? args : []));
+  }
+
+  function onMessage(ev) {
+    if (ev.source !== target || !allowed.has(ev.origin)) return;
+    const data = ev.data;
+    if (!isProtocolMessage(data)) return;
+    if (data.type === "hello") {
+      post(message("ready"));
+      return;
+    }
+    if (data.type !== "call") return;
+
+    const reply = (fields) => {
+      // Answer on the origin that asked
+      ev.source.postMessage(message("result", { id: data.id, ...fields }), ev.origin);
+    };
+    if (data.version !== PROTOCOL_VERSION) {
+      reply({ ok: false, error: `unsupported protocol version ${data.version}` });
+      return;
+    }
+    handleCall(data)
+      .then((result) => reply({ ok: true, result: result ?? null }))
+      .catch((error) => reply({ ok: false, error: describeError(error) }));
+  }
+
+  window.addEventListener("message", onMessage);
+  const unsubscribers = GAME_EVENTS.map((event) =>
+    game.on(event, (payload) => post(message("event", { event, payload })))
+  );
+  post(message("ready"));
+
+  return {
+    destroy() {
+      window.removeEventListener("message", onMessage);
+      unsubscribers.forEach((off) => off());
+    },
+  };
+}
+
+export function connectMinesFrame(
+  iframe,
+  {
+    origin, // origin of the framed game
+    timeout = 10000, // ms before a call without an answer is rejected
+  } = {}
+) {
+  if (!origin) throw new Error("connectMinesFrame: origin is required");
+
+  const listeners = new Map(); // event -> Set<fn>
+  const calls = new Map(); // id -> { resolve, reject, timer }
+  let nextId = 1;
+  let resolveReady;
+  const ready = new Promise((resolve) => {
+    resolveReady = resolve;
+  });
+
+  function onMessage(ev) {
+    if (ev.source !== iframe.contentWindow || ev.origin !== origin) return;
+    const data = ev.data;
+    if (!isProtocolMessage(data)) return;
+    if (data.version !== PROTOCOL_VERSION) {
+      console.warn(`connectMinesFrame: ignoring protocol version ${data.version}`);
+      return;
+    }
+
+    if (data.type === "ready") {
+      resolveReady();
+    } else if (data.type === "result") {
+      const pending = calls.get(data.id);
+      if (!pending) return;
+      calls.delete(data.id);
+      clearTimeout(pending.timer);
+      if (data.ok) pending.resolve(data.result);
+      else pending.reject(new Error(data.error));
+    } else if (data.type === "event") {
+      for (const fn of [...(listeners.get(data.event) ?? [])]) {
+        try {
+          fn(data.payload);
+        } catch (e) {
+          console.error(`connectMinesFrame: "${data.event}" listener failed`, e);
+        }
+      }
+    }
+  }
+  window.addEventListener("message", onMessage);
+
+  // The frame may have started before we listened; ask it to announce itself
+  function hello() {
+    iframe.contentWindow?.postMessage(message("hello"), origin);
+  }
+  hello();
+  iframe.addEventListener("load", hello);
+
+  // Resolves with the method's result; rejects with the frame's error
+  function call(method, ...args) {
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        calls.delete(id);
+        reject(new Error(`connectMinesFrame: "${method}" timed out`));
+      }, timeout);
+      calls.set(id, { resolve, reject, timer });
+      iframe.contentWindow.postMessage(message("call", { id, method, args }), origin);
+    });
+  }
+
+  function on(event, fn) {
+    if (!listeners.has(event)) listeners.set(event, new Set());
+    listeners.get(event).add(fn);
+    return () => off(event, fn);
+  }
+
+  function off(event, fn) {
+    listeners.get(event)?.delete(fn);
+  }
+
+  function destroy() {
+    window.removeEventListener("message", onMessage);
+    iframe.removeEventListener("load", hello);
+    listeners.clear();
+    for (const { reject, timer } of calls.values()) {
+      clearTimeout(timer);
+      reject(new Error("connectMinesFrame: connection closed"));
+    }
+    calls.clear();
+  }
+
+  return { ready, call, on, off, destroy };
+}
@@ -0,0 +1,80 @@
+// Time and randomness sources for the animations. The game defaults to the
+// real ones; tests pass a manual clock and a seeded RNG so a scripted round
+// renders the same frames on every run.
+
+export const realClock = {
+  now: () => performance.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (id) => clearTimeout(id),
+};
+
+// Resolves with the clock once ms have passed on it
+export function sleep(clock, ms) {
+  return new Promise((resolve) => clock.setTimeout(resolve, Math.max(0, ms)));
+}
+
+// Clock that only moves when advance() is called. Timers fire in due order,
+// each one seeing now() at its own due time.
+export function createManualClock(start = 0) {
+  let now = start;
+  let nextId = 1;
+  const timers = new Map(); // id -> { due, fn, order }
+
+  function setTimeout(fn, ms = 0) {
+    const id = nextId++;
+    timers.set(id, { due: now + Math.max(0, Number(ms) || 0), fn, order: id });
+    return id;
+  }
+
+  function clearTimeout(id) {
+    timers.delete(id);
+  }
+
+  function nextDue(until) {
+    let next = null;
+    for (const [id, timer] of timers) {
+      if (timer.due > until) continue;
+      if (
+        !next ||
+        timer.due < next.timer.due ||
+        (timer.due === next.timer.due && timer.order < next.timer.order)
+      ) {
+        next = { id, timer };
+      }
+    }
+    return next;
+  }
+
+  // Moves time forward, running every timer that falls due on the way
+  // (including ones scheduled by those timers)
+  function advance(ms) {
+    const until = now + Math.max(0, ms);
+    let next;
+    while ((next = nextDue(until))) {
+      timers.delete(next.id);
+      now = next.timer.due;
+      next.timer.fn();
+    }
+    now = until;
+  }
+
+  return {
+    now: () => now,
+    setTimeout,
+    clearTimeout,
+    advance,
+    pending: () => timers.size,
+  };
+}
+
+// Small deterministic RNG (mulberry32); returns floats in [0, 1) like Math.random
+export function createSeededRandom(seed = 1) {
+  let a = seed >>> 0;
+  return function random() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
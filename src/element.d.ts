@@ -0,0 +1,25 @@
+import type { MinesEvents, MinesGame, MinesGameOptions } from "./mines.js";
+
+export const EVENT_PREFIX: "mines:";
+
+type ForwardedMethods = Omit<MinesGame, "app" | "on" | "off" | "once" | "destroy">;
+
+/** DOM event map of <mines-game>: "mines:<event>" with the game payload in detail */
+export type MinesElementEventMap = {
+  [K in keyof MinesEvents as `mines:${K}`]: CustomEvent<MinesEvents[K]>;
+} & {
+  "mines:ready": CustomEvent<{ game: MinesGame }>;
+  "mines:error": CustomEvent<{ error: unknown }>;
+};
+
+export interface MinesGameElement extends HTMLElement, ForwardedMethods {
+  /** Non-string options; read when the element connects */
+  options: MinesGameOptions;
+  /** Null until the game has started and after the element is removed */
+  game: MinesGame | null;
+  whenReady(): Promise<MinesGame>;
+}
+
+export function defineMinesElement(
+  tagName?: string
+): { new (): MinesGameElement; prototype: MinesGameElement } | null;
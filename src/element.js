@@ -0,0 +1,148 @@
+// <mines-game> custom element around createMinesGame.
+//
+//   <mines-game grid="5" mines="3" theme="midnight"></mines-game>
+//
+// Attributes map to options, game methods are element methods and game
+// events are dispatched as DOM CustomEvents named "mines:<event>" with the
+// payload in `detail`. Options that aren't strings (wallet, onCardSelected,
+// textures, ...) go in the `options` property before the element connects.
+
+import { createMinesGame } from "./mines.js";
+import { GAME_EVENTS, GAME_METHODS } from "./api.js";
+
+export const EVENT_PREFIX = "mines:";
+
+const number = (value) => (value === null ? undefined : Number(value));
+const flag = (value) => (value === null ? undefined : value !== "false");
+const string = (value) => value ?? undefined;
+
+// attribute -> [option, parse]
+const ATTRIBUTES = {
+  grid: ["grid", number],
+  mines: ["mines", number],
+  theme: ["theme", string],
+  size: ["size", number],
+  currency: ["currency", string],
+  locale: ["locale", string],
+  "house-edge": ["houseEdge", number],
+  "client-seed": ["clientSeed", string],
+  "selection-limit": ["selectionLimit", number],
+  volume: ["volume", number],
+  muted: ["muted", flag],
+  motion: ["motion", string],
+  speed: ["speed", string],
+  performance: ["performance", string],
+};
+
+// Attributes that are applied to a running game; the rest only count when
+// the element connects
+const LIVE_ATTRIBUTES = {
+  grid: (game, value) => game.setGrid(value),
+  mines: (game, value) => game.setMines(value),
+  theme: (game, value) => game.setTheme(value),
+  "client-seed": (game, value) => game.setClientSeed(value),
+  volume: (game, value) => game.setVolume(value),
+  muted: (game, value) => game.setMuted(value),
+  motion: (game, value) => game.setMotion(value),
+  speed: (game, value) => game.setSpeed(value),
+};
+
+function createElementClass() {
+  class MinesGameElement extends HTMLElement {
+    static get observedAttributes() {
+      return Object.keys(ATTRIBUTES);
+    }
+
+    constructor() {
+      super();
+      this.options = {};
+      this.game = null;
+      this._mounting = 0;
+      this._resetReady();
+    }
+
+    _resetReady() {
+      this._ready = new Promise((resolve) => {
+        this._resolveReady = resolve;
+      });
+    }
+
+    // Resolves with the game once it has started
+    whenReady() {
+      return this._ready;
+    }
+
+    optionsFromAttributes() {
+      const opts = {};
+      for (const [attr, [option, parse]] of Object.entries(ATTRIBUTES)) {
+        const value = parse(this.getAttribute(attr));
+        if (value !== undefined && !Number.isNaN(value)) opts[option] = value;
+      }
+      return opts;
+    }
+
+    async connectedCallback() {
+      if (this.game) return;
+      const mount = ++this._mounting;
+      let game;
+      try {
+        game = await createMinesGame(this, {
+          ...this.options,
+          ...this.optionsFromAttributes(),
+        });
+      } catch (error) {
+        this.dispatchEvent(new CustomEvent(`${EVENT_PREFIX}error`, { detail: { error } }));
+        return;
+      }
+      // Removed (or re-added) while the game was loading
+      if (mount !== this._mounting || !this.isConnected) {
+        game.destroy();
+        return;
+      }
+
+      this.game = game;
+      for (const name of GAME_EVENTS) {
+        game.on(name, (detail) => {
+          this.dispatchEvent(new CustomEvent(`${EVENT_PREFIX}${name}`, { detail }));
+        });
+      }
+      this._resolveReady(game);
+      this.dispatchEvent(new CustomEvent(`${EVENT_PREFIX}ready`, { detail: { game } }));
+    }
+
+    disconnectedCallback() {
+      this._mounting += 1;
+      if (!this.game) return;
+      this.game.destroy();
+      this.game = null;
+      this._resetReady();
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+      const apply = LIVE_ATTRIBUTES[name];
+      if (!this.game || !apply || oldValue === value) return;
+      const [, parse] = ATTRIBUTES[name];
+      const parsed = parse(value);
+      if (parsed !== undefined && !Number.isNaN(parsed)) apply(this.game, parsed);
+    }
+  }
+
+  for (const method of GAME_METHODS) {
+    MinesGameElement.prototype[method] = function (...args) {
+      if (!this.game) throw new Error(`<mines-game>.${method}: the game is not ready yet`);
+      return this.game[method](...args);
+    };
+  }
+
+  return MinesGameElement;
+}
+
+// Registers the element once; safe to call from several bundles
+export function defineMinesElement(tagName = "mines-game") {
+  if (typeof customElements === "undefined") return null;
+  const existing = customElements.get(tagName);
+  if (existing) return existing;
+  const MinesGameElement = createElementClass();
+  customElements.define(tagName, MinesGameElement);
+  return MinesGameElement;
+}
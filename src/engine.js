@@ -0,0 +1,651 @@
+// Headless Mines game core: rules and round state, no rendering.
+// Views (the Pixi board in mines.js, the DOM board in fallback.js) drive it
+// with pick() / resolveOutcome() / finishReveal() / cashOut() and follow its
+// events. It runs as-is in Node.
+//
+// States:
+//   idle              waiting for the player to pick a tile
+//   awaiting-outcome  tiles are picked, their faces are not known yet
+//   revealing         faces are known, the view is still animating them
+//   won | lost | cashed-out   round over
+//
+// Events (engine.on(name, fn)):
+//   reset     a new round started
+//   state     { from, to } status transition
+//   pick      { row, col }
+//   outcome   { row, col, face, batchIndex } face of a picked tile is known;
+//             batchIndex is its position within one resolveSelection() call
+//   reveal    { row, col, face, roundOver } the view finished revealing it
+//   roundEnd  { status } round is over
+//   layout    { bombPositions } authoritative mine layout is known
+//   fairness  provably-fair round info is ready
+//   error     { error, context }
+//
+// With selectionLimit > 1 the player may pick up to that many tiles before
+// any is resolved; resolveSelection() then settles them in one go.
+//
+// Every round is recorded as a plain JSON log (getReplay()); startReplay(log)
+// loads one back so a view can step through it with pick()/resolveOutcome().
+
+import { createFairRound, generateSeed } from "./fair.js";
+import { createEmitter } from "./events.js";
+import {
+  computeMultiplier,
+  computeNextMultiplier,
+  DEFAULT_HOUSE_EDGE,
+} from "./payout.js";
+
+export const MIN_GRID = 3;
+export const MAX_GRID = 8;
+
+export const STATES = Object.freeze({
+  IDLE: "idle",
+  AWAITING_OUTCOME: "awaiting-outcome",
+  REVEALING: "revealing",
+  WON: "won",
+  LOST: "lost",
+  CASHED_OUT: "cashed-out",
+});
+
+const ROUND_OVER = new Set([STATES.WON, STATES.LOST, STATES.CASHED_OUT]);
+
+export const REPLAY_VERSION = 1;
+
+export function clampGrid(n) {
+  return Math.max(MIN_GRID, Math.min(MAX_GRID, n | 0));
+}
+
+export function clampMines(n, grid) {
+  return Math.max(1, Math.min(n | 0, grid * grid - 1));
+}
+
+const keyOf = (row, col) => `${row},${col}`;
+
+function positionsFromKeys(keys) {
+  return [...keys].map((key) => {
+    const [row, col] = key.split(",").map(Number);
+    return { row, col };
+  });
+}
+
+export function createMinesEngine(opts = {}) {
+  let grid = clampGrid(opts.grid ?? 5);
+  let mines = clampMines(opts.mines ?? 5, grid);
+  const houseEdge = opts.houseEdge ?? DEFAULT_HOUSE_EDGE;
+  // "fair": built-in provably-fair layouts. "host": resolveOutcome() is
+  // called from outside (e.g. onCardSelected) and the layout comes from
+  // setBoardLayout() / onRoundEnd.
+  const outcomeSource = opts.outcomeSource ?? "fair";
+  // When true, reveals stay pending until the view calls finishReveal()
+  const waitForView = opts.waitForView ?? false;
+  // Asked for the authoritative mine layout when the round is over.
+  // May return the positions (or a promise of them) or call setBoardLayout().
+  const onRoundEnd = opts.onRoundEnd ?? null;
+  const random = opts.random ?? Math.random;
+  // How many picks may wait for an outcome at once
+  const selectionLimit = Math.max(1, opts.selectionLimit ?? 1) | 0;
+
+  // Fair layouts are HMAC-derived; without Web Crypto (e.g. a page served
+  // over plain http) every pick would wait forever
+  if (outcomeSource === "fair" && !globalThis.crypto?.subtle) {
+    throw new Error(
+      "MinesEngine: provably-fair rounds need the Web Crypto API (serve the " +
+        "page from https or localhost), or pass onCardSelected to decide outcomes on the host"
+    );
+  }
+
+  let clientSeed = opts.clientSeed ?? generateSeed(8);
+  let nonce = opts.nonce ?? 0;
+
+  const events = createEmitter("MinesEngine");
+  const { on, off, once, emit } = events;
+
+  let round = 0; // bumped on every reset so late async work can bail out
+  let status = STATES.IDLE;
+  let faces = new Map(); // faces the player has seen or is about to see
+  let pending = new Map(); // picked tiles whose reveal hasn't finished
+  let selection = []; // picked tiles waiting for their outcome, oldest first
+  let revealedSafe = 0;
+  let bombKeys = new Set();
+  let layoutReady = false;
+  let awaitingLayout = false;
+  let layoutPublished = false;
+  let fairRound = null;
+  let fairRoundPromise = null;
+  let recording = null; // replay log of the current round
+  let replay = null; // loaded replay log, while one is being played back
+  let preReplayBoard = null; // { grid, mines } to restore after a replay
+
+  function fail(error, context) {
+    console.error(`MinesEngine: ${context} failed`, error);
+    emit("error", { error, context });
+  }
+
+  // State
+
+  function totalSafe() {
+    return grid * grid - mines;
+  }
+
+  function isOver() {
+    return ROUND_OVER.has(status);
+  }
+
+  function setStatus(next) {
+    if (next === status) return;
+    const from = status;
+    status = next;
+    emit("state", { from, to: next });
+  }
+
+  function settleStatus() {
+    if (isOver()) return;
+    if (selection.length) setStatus(STATES.AWAITING_OUTCOME);
+    else if (pending.size) setStatus(STATES.REVEALING);
+    else setStatus(STATES.IDLE);
+  }
+
+  function getMultiplier(revealed) {
+    return computeMultiplier({ grid, mines, revealed, houseEdge });
+  }
+
+  function getState() {
+    const bombPending = [...pending.values()].includes("bomb");
+    return {
+      grid,
+      mines,
+      status,
+      revealedSafe,
+      totalSafe: totalSafe(),
+      gameOver: isOver() || bombPending,
+      cashedOut: status === STATES.CASHED_OUT,
+      waitingForChoice: selection.length > 0,
+      selectedTile: selection[0] ? { ...selection[0] } : null,
+      selectedTiles: selection.map((tile) => ({ ...tile })),
+      currentMultiplier: getMultiplier(revealedSafe),
+      nextMultiplier: computeNextMultiplier({
+        grid,
+        mines,
+        revealed: revealedSafe,
+        houseEdge,
+      }),
+      fairness: fairRound?.getPublicInfo() ?? null,
+      bombPositions: isOver() && layoutReady ? positionsFromKeys(bombKeys) : null,
+      replaying: Boolean(replay),
+    };
+  }
+
+  // Round lifecycle
+
+  function reset() {
+    if (preReplayBoard) ({ grid, mines } = preReplayBoard);
+    preReplayBoard = null;
+    startRound(null);
+  }
+
+  function startRound(replayLog) {
+    round += 1;
+    faces = new Map();
+    pending = new Map();
+    selection = [];
+    revealedSafe = 0;
+    bombKeys = new Set();
+    layoutReady = false;
+    awaitingLayout = false;
+    layoutPublished = false;
+    replay = replayLog;
+    startRecording();
+    startFairRound();
+
+    const from = status;
+    status = STATES.IDLE;
+    if (from !== status) emit("state", { from, to: status });
+    emit("reset", getState());
+  }
+
+  function setMines(n) {
+    preReplayBoard = null;
+    mines = clampMines(n, grid);
+    reset();
+  }
+
+  function setGrid(n) {
+    preReplayBoard = null;
+    grid = clampGrid(n);
+    mines = clampMines(mines, grid);
+    reset();
+  }
+
+  function setClientSeed(seed) {
+    clientSeed = `${seed}`;
+    nonce = 0;
+    reset();
+  }
+
+  // A replay keeps the limit it was recorded with
+  function currentSelectionLimit() {
+    return replay?.config.selectionLimit ?? (replay ? 1 : selectionLimit);
+  }
+
+  function canPick(row, col) {
+    return (
+      !isOver() &&
+      selection.length < currentSelectionLimit() &&
+      !isSelected(row, col) &&
+      ![...pending.values()].includes("bomb") &&
+      row >= 0 &&
+      col >= 0 &&
+      row < grid &&
+      col < grid &&
+      !faces.has(keyOf(row, col)) &&
+      grid * grid - faces.size - selection.length > mines
+    );
+  }
+
+  function pick(row, col) {
+    if (!canPick(row, col)) return false;
+
+    selection.push({ row, col });
+    record({ type: "pick", row, col });
+    settleStatus();
+    emit("pick", { row, col });
+
+    // Multi-pick rounds wait for resolveSelection()
+    if (outcomeSource === "fair" && !replay && currentSelectionLimit() === 1) {
+      resolveFromFairRound(round, [{ row, col }]);
+    }
+    return true;
+  }
+
+  // Resolves the oldest pending pick
+  function resolveOutcome(face) {
+    if (!selection.length) return false;
+    return resolveSelection([{ ...selection[0], face }]);
+  }
+
+  // Settles several picks at once: results is [{ row, col, face }] for
+  // picked tiles. Without results, fair rounds resolve the whole selection
+  // from the provably-fair layout. Fair rounds never take faces from
+  // outside (except while a replay is played back): the board has to match
+  // the seed verifyRound() checks.
+  function resolveSelection(results) {
+    if (results === undefined) {
+      if (outcomeSource !== "fair" || replay || !selection.length) return false;
+      resolveFromFairRound(round, [...selection]);
+      return true;
+    }
+
+    if (outcomeSource === "fair" && !replay) {
+      console.warn("MinesEngine: outcomes of a provably-fair round can't be set by the host");
+      return false;
+    }
+    return applyOutcomes(results);
+  }
+
+  function applyOutcomes(results) {
+    const valid =
+      Array.isArray(results) &&
+      results.length > 0 &&
+      results.every(
+        (r) =>
+          (r?.face === "diamond" || r?.face === "bomb") &&
+          isSelected(r.row, r.col)
+      ) &&
+      new Set(results.map((r) => keyOf(r.row, r.col))).size === results.length;
+    if (!valid) return false;
+
+    for (const { row, col, face } of results) {
+      faces.set(keyOf(row, col), face);
+      pending.set(keyOf(row, col), face);
+      record({ type: "outcome", row, col, face });
+    }
+    selection = selection.filter((tile) => !faces.has(keyOf(tile.row, tile.col)));
+    settleStatus();
+    results.forEach(({ row, col, face }, batchIndex) => {
+      emit("outcome", { row, col, face, batchIndex });
+    });
+
+    if (!waitForView) {
+      results.forEach(({ row, col }) => finishReveal(row, col));
+    }
+    return true;
+  }
+
+  function finishReveal(row, col) {
+    const key = keyOf(row, col);
+    const face = pending.get(key);
+    if (!face) return false;
+    pending.delete(key);
+
+    // The rest of a batch that lost on an earlier tile
+    if (isOver()) {
+      emit("reveal", { row, col, face, roundOver: true });
+      return true;
+    }
+
+    let ending = null;
+    if (face === "bomb") {
+      ending = STATES.LOST;
+    } else {
+      revealedSafe += 1;
+      if (revealedSafe >= totalSafe()) ending = STATES.WON;
+    }
+
+    if (!ending) settleStatus();
+    emit("reveal", { row, col, face, roundOver: Boolean(ending) });
+    if (ending) endRound(ending);
+    return true;
+  }
+
+  function canCashOut() {
+    return status === STATES.IDLE && revealedSafe > 0;
+  }
+
+  // Ends the round early; the view pays out the returned multiplier
+  function cashOut() {
+    if (!canCashOut()) return null;
+    const multiplier = getMultiplier(revealedSafe);
+    endRound(STATES.CASHED_OUT);
+    return { multiplier };
+  }
+
+  function endRound(next) {
+    selection = [];
+    record({
+      type: "end",
+      status: next,
+      multiplier: next === STATES.LOST ? 0 : getMultiplier(revealedSafe),
+    });
+    setStatus(next);
+    resolveLayout();
+    emit("roundEnd", { status: next, ...getState() });
+  }
+
+  // Replays
+
+  function startRecording() {
+    recording = replay
+      ? null
+      : {
+          version: REPLAY_VERSION,
+          config: {
+            grid,
+            mines,
+            houseEdge,
+            outcomeSource,
+            clientSeed,
+            selectionLimit,
+          },
+          startedAt: Date.now(),
+          events: [],
+          result: null,
+        };
+  }
+
+  function record(event) {
+    if (!recording) return;
+    recording.events.push({ ...event, at: Date.now() - recording.startedAt });
+  }
+
+  // Called once the layout is known, so the log holds the whole board
+  function finishRecording() {
+    if (!recording) return;
+    recording.result = {
+      status,
+      revealedSafe,
+      bombPositions: positionsFromKeys(bombKeys),
+      fairness: fairRound?.getPublicInfo() ?? null,
+    };
+  }
+
+  // Log of the current (or last) round; plain data, safe to JSON.stringify
+  function getReplay() {
+    const log = replay ?? recording;
+    return log ? JSON.parse(JSON.stringify(log)) : null;
+  }
+
+  // Returns an error message, or null if the log can be played back
+  function validateReplay(log) {
+    if (!log || log.version !== REPLAY_VERSION) {
+      return `unsupported replay version ${log?.version}`;
+    }
+    const { grid: g, mines: m } = log.config ?? {};
+    if (clampGrid(g) !== g || clampMines(m, g) !== m) {
+      return `invalid board ${g}x${g} with ${m} mines`;
+    }
+    const limit = log.config.selectionLimit ?? 1;
+    if (!Number.isInteger(limit) || limit < 1) {
+      return `invalid selection limit ${limit}`;
+    }
+    if (!Array.isArray(log.events)) return "events must be an array";
+    return null;
+  }
+
+  // Loads a recorded round onto a fresh board. Picks and outcomes are then
+  // fed in by the caller; the layout comes from the log.
+  function startReplay(log) {
+    const error = validateReplay(log);
+    if (error) throw new Error(`startReplay: ${error}`);
+
+    preReplayBoard = preReplayBoard ?? { grid, mines };
+    grid = log.config.grid;
+    mines = log.config.mines;
+    startRound(JSON.parse(JSON.stringify(log)));
+  }
+
+  // Provably-fair outcomes
+
+  function startFairRound() {
+    fairRound = null;
+    fairRoundPromise = null;
+    if (outcomeSource !== "fair" || replay) return;
+
+    if (recording) recording.config.nonce = nonce;
+    const promise = createFairRound({ grid, mines, clientSeed, nonce: nonce++ });
+    fairRoundPromise = promise;
+    promise
+      .then((created) => {
+        if (fairRoundPromise !== promise) return;
+        fairRound = created;
+        emit("fairness", created.getPublicInfo());
+      })
+      .catch((e) => fail(e, "createFairRound"));
+  }
+
+  async function resolveFromFairRound(pickRound, tiles) {
+    const created = await fairRoundPromise?.catch(() => null);
+    // The board may have been reset while we were waiting
+    if (!created || pickRound !== round) return;
+
+    const results = tiles
+      .filter(({ row, col }) => isSelected(row, col))
+      .map(({ row, col }) => ({
+        row,
+        col,
+        face: created.isBomb(row, col) ? "bomb" : "diamond",
+      }));
+    if (results.length) applyOutcomes(results);
+  }
+
+  // Mine layout
+
+  // Returns an error message, or null if the layout fits this round
+  function validateLayout(positions) {
+    if (!Array.isArray(positions)) return "bomb positions must be an array";
+    if (positions.length !== mines) {
+      return `expected ${mines} bomb positions, got ${positions.length}`;
+    }
+
+    const keys = new Set();
+    for (const p of positions) {
+      const { row, col } = p ?? {};
+      if (
+        !Number.isInteger(row) ||
+        !Number.isInteger(col) ||
+        row < 0 ||
+        col < 0 ||
+        row >= grid ||
+        col >= grid
+      ) {
+        return `position ${JSON.stringify(p)} is outside the ${grid}x${grid} grid`;
+      }
+      const key = keyOf(row, col);
+      if (keys.has(key)) return `duplicate bomb position ${key}`;
+      keys.add(key);
+    }
+
+    // Must agree with what the player has already seen
+    for (const [key, face] of faces) {
+      if (face === "diamond" && keys.has(key)) {
+        return `tile ${key} was revealed as a diamond`;
+      }
+      if (face === "bomb" && !keys.has(key)) {
+        return `tile ${key} was revealed as a bomb`;
+      }
+    }
+
+    return null;
+  }
+
+  function applyLayout(positions) {
+    bombKeys = new Set(positions.map((p) => keyOf(p.row, p.col)));
+    layoutReady = true;
+  }
+
+  function publishLayout() {
+    layoutPublished = true;
+    finishRecording();
+    emit("layout", { bombPositions: positionsFromKeys(bombKeys) });
+  }
+
+  function setBoardLayout(positions) {
+    if (layoutPublished) {
+      throw new Error("setBoardLayout: the board has already been revealed");
+    }
+    const error = validateLayout(positions);
+    if (error) throw new Error(`setBoardLayout: ${error}`);
+
+    applyLayout(positions);
+    if (awaitingLayout) {
+      awaitingLayout = false;
+      publishLayout();
+    }
+  }
+
+  // Legacy behaviour for hosts that decide outcomes but never send a layout:
+  // place the remaining bombs randomly among the unseen tiles.
+  function randomLayout() {
+    const positions = [];
+    const available = [];
+    for (let row = 0; row < grid; row++) {
+      for (let col = 0; col < grid; col++) {
+        const face = faces.get(keyOf(row, col));
+        if (face === "bomb") positions.push({ row, col });
+        else if (!face) available.push({ row, col });
+      }
+    }
+
+    for (let i = available.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [available[i], available[j]] = [available[j], available[i]];
+    }
+
+    return positions.concat(available.slice(0, mines - positions.length));
+  }
+
+  // Resolves the authoritative layout for a finished round, then publishes it
+  function resolveLayout() {
+    const revealedRound = fairRound?.reveal();
+    if (replay) {
+      const positions = replay.result?.bombPositions;
+      if (positions && !validateLayout(positions)) applyLayout(positions);
+    } else if (revealedRound) {
+      applyLayout(revealedRound.bombPositions);
+    } else if (layoutReady) {
+      const error = validateLayout(positionsFromKeys(bombKeys));
+      if (error) {
+        console.error(`Board layout rejected: ${error}`);
+        layoutReady = false;
+      }
+    }
+
+    if (!layoutReady && onRoundEnd && !replay) {
+      awaitingLayout = true;
+      const endedRound = round;
+      Promise.resolve()
+        .then(() => onRoundEnd(getState()))
+        .then((positions) => {
+          if (positions && awaitingLayout && endedRound === round) {
+            setBoardLayout(positions);
+          }
+        })
+        .catch((e) => fail(e, "onRoundEnd"));
+      return;
+    }
+
+    if (!layoutReady) applyLayout(randomLayout());
+    publishLayout();
+  }
+
+  // Queries
+
+  function getFace(row, col) {
+    return faces.get(keyOf(row, col)) ?? null;
+  }
+
+  function isBomb(row, col) {
+    return bombKeys.has(keyOf(row, col));
+  }
+
+  function isSelected(row, col) {
+    return selection.some((tile) => tile.row === row && tile.col === col);
+  }
+
+  function destroy() {
+    round += 1;
+    events.clear();
+  }
+
+  reset();
+
+  return {
+    get grid() {
+      return grid;
+    },
+    get mines() {
+      return mines;
+    },
+    get status() {
+      return status;
+    },
+    get selectionLimit() {
+      return currentSelectionLimit();
+    },
+    get replaying() {
+      return Boolean(replay);
+    },
+    on,
+    off,
+    once,
+    reset,
+    setMines,
+    setGrid,
+    setClientSeed,
+    canPick,
+    pick,
+    resolveOutcome,
+    resolveSelection,
+    finishReveal,
+    canCashOut,
+    cashOut,
+    setBoardLayout,
+    getReplay,
+    startReplay,
+    getState,
+    getMultiplier,
+    getFace,
+    isBomb,
+    isSelected,
+    destroy,
+  };
+}
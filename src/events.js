@@ -0,0 +1,40 @@
+// Minimal event emitter shared by the engine and the game views.
+// Listener errors are logged and never break the emitter.
+
+export function createEmitter(name) {
+  const listeners = new Map();
+
+  function on(event, fn) {
+    if (!listeners.has(event)) listeners.set(event, new Set());
+    listeners.get(event).add(fn);
+    return () => off(event, fn);
+  }
+
+  function off(event, fn) {
+    listeners.get(event)?.delete(fn);
+  }
+
+  function once(event, fn) {
+    const unsubscribe = on(event, (payload) => {
+      unsubscribe();
+      fn(payload);
+    });
+    return unsubscribe;
+  }
+
+  function emit(event, payload) {
+    for (const fn of [...(listeners.get(event) ?? [])]) {
+      try {
+        fn(payload);
+      } catch (e) {
+        console.error(`${name}: "${event}" listener failed`, e);
+      }
+    }
+  }
+
+  function clear() {
+    listeners.clear();
+  }
+
+  return { on, off, once, emit, clear };
+}
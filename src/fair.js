@@ -0,0 +1,175 @@
+// Provably-fair mine layouts.
+// A round's layout is derived from HMAC-SHA256(serverSeed, `${clientSeed}:${nonce}:${cursor}`).
+// The SHA-256 hash of the server seed is published before the round and the
+// seed itself is revealed once the round is over, so anyone can re-derive the
+// layout with verifyRound().
+
+const encoder = new TextEncoder();
+
+function getSubtle() {
+  const subtle = globalThis.crypto?.subtle;
+  if (!subtle) throw new Error("fair: Web Crypto API is not available");
+  return subtle;
+}
+
+function toHex(bytes) {
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+export function generateSeed(byteLength = 32) {
+  const bytes = new Uint8Array(byteLength);
+  globalThis.crypto.getRandomValues(bytes);
+  return toHex(bytes);
+}
+
+export async function hashSeed(seed) {
+  const digest = await getSubtle().digest("SHA-256", encoder.encode(seed));
+  return toHex(new Uint8Array(digest));
+}
+
+async function hmacSha256(key, message) {
+  const subtle = getSubtle();
+  const cryptoKey = await subtle.importKey(
+    "raw",
+    encoder.encode(key),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const signature = await subtle.sign(
+    "HMAC",
+    cryptoKey,
+    encoder.encode(message)
+  );
+  return new Uint8Array(signature);
+}
+
+// Each HMAC block yields 8 floats in [0, 1), built from 4 bytes each
+async function generateFloats({ serverSeed, clientSeed, nonce, count }) {
+  const floats = [];
+  for (let cursor = 0; floats.length < count; cursor++) {
+    const bytes = await hmacSha256(
+      serverSeed,
+      `${clientSeed}:${nonce}:${cursor}`
+    );
+    for (let i = 0; i + 4 <= bytes.length && floats.length < count; i += 4) {
+      const value =
+        bytes[i] / 256 +
+        bytes[i + 1] / 256 ** 2 +
+        bytes[i + 2] / 256 ** 3 +
+        bytes[i + 3] / 256 ** 4;
+      floats.push(value);
+    }
+  }
+  return floats;
+}
+
+export async function computeMinePositions({
+  serverSeed,
+  clientSeed,
+  nonce,
+  grid,
+  mines,
+}) {
+  const total = grid * grid;
+  if (!(mines >= 1 && mines < total)) {
+    throw new Error(`fair: invalid mines count ${mines} for grid ${grid}`);
+  }
+
+  const floats = await generateFloats({
+    serverSeed,
+    clientSeed,
+    nonce,
+    count: mines,
+  });
+
+  // Draw without replacement from the remaining tile indices
+  const remaining = Array.from({ length: total }, (_, i) => i);
+  return floats.map((f) => {
+    const [index] = remaining.splice(Math.floor(f * remaining.length), 1);
+    return { row: Math.floor(index / grid), col: index % grid };
+  });
+}
+
+export async function createFairRound({
+  grid,
+  mines,
+  clientSeed,
+  nonce,
+  serverSeed = generateSeed(),
+}) {
+  const serverSeedHash = await hashSeed(serverSeed);
+  const bombPositions = await computeMinePositions({
+    serverSeed,
+    clientSeed,
+    nonce,
+    grid,
+    mines,
+  });
+  const bombKeys = new Set(bombPositions.map((p) => `${p.row},${p.col}`));
+  let revealed = false;
+
+  return {
+    grid,
+    mines,
+    clientSeed,
+    nonce,
+    serverSeedHash,
+    isBomb: (row, col) => bombKeys.has(`${row},${col}`),
+    // Ends the round: after this the server seed is public
+    reveal() {
+      revealed = true;
+      return { serverSeed, bombPositions: bombPositions.slice() };
+    },
+    getPublicInfo() {
+      return {
+        grid,
+        mines,
+        clientSeed,
+        nonce,
+        serverSeedHash,
+        serverSeed: revealed ? serverSeed : null,
+      };
+    },
+  };
+}
+
+// Standalone check for a finished round. Returns the derived layout and
+// whether it matches the published hash (and the shown layout, if given).
+// Without the published hash there is nothing to check the seed against:
+// hashMatches is null and the round doesn't count as valid.
+export async function verifyRound({
+  serverSeed,
+  serverSeedHash,
+  clientSeed,
+  nonce,
+  grid,
+  mines,
+  bombPositions,
+}) {
+  const hash = await hashSeed(serverSeed);
+  const hashMatches = serverSeedHash ? hash === serverSeedHash : null;
+  const derived = await computeMinePositions({
+    serverSeed,
+    clientSeed,
+    nonce,
+    grid,
+    mines,
+  });
+
+  let layoutMatches = true;
+  if (bombPositions) {
+    const expected = new Set(derived.map((p) => `${p.row},${p.col}`));
+    layoutMatches =
+      bombPositions.length === expected.size &&
+      bombPositions.every((p) => expected.has(`${p.row},${p.col}`));
+  }
+
+  return {
+    valid: hashMatches === true && layoutMatches,
+    hashMatches,
+    layoutMatches,
+    serverSeedHash: hash,
+    bombPositions: derived,
+  };
+}
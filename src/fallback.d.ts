@@ -0,0 +1,6 @@
+import type { MinesGame, MinesGameOptions } from "./mines.js";
+
+export function createFallbackMinesGame(
+  mount: string | HTMLElement,
+  opts?: MinesGameOptions
+): MinesGame;
@@ -1,68 +1,246 @@
+import { applyThemeToElement, resolveTheme } from './theme.js';
+import { createMinesSession } from './session.js';
+import { describeTile } from './a11y.js';
+import { createFormatter, resolveCurrency } from './i18n.js';
+import { realClock } from './clock.js';
+import { MOTION_MODES, SPEEDS, resolveMotion, resolveSpeed, watchMotionPreference } from './motion.js';
+
 // Simple DOM/CSS fallback for Mines board (no WebGL, no audio)
-// Always renders a 5x5 grid and exposes a minimal API compatible with main.js usage
+// Renders a 3x3 to 8x8 grid driven by the same engine as the Pixi board and
+// exposes the same API and callbacks as createMinesGame
+
 
 export function createFallbackMinesGame(mountSelector, opts = {}) {
   const root = typeof mountSelector === 'string' ? document.querySelector(mountSelector) : mountSelector;
   if (!root) throw new Error('fallback: mount not found');
   root.innerHTML = '';
+  root.style.position = root.style.position || 'relative';
 
-  const GRID = opts.grid ?? 5;
-  let mines = Math.max(1, Math.min(opts.mines ?? 5, GRID * GRID - 1));
+  const revealAllIntervalDelay = opts.revealAllIntervalDelay ?? 40;
+  const clock = { ...realClock, ...opts.clock };
+  const format = createFormatter({
+    locale: opts.locale,
+    currency: opts.currency,
+    messages: opts.messages,
+  });
+  let revealTimers = [];
 
   const board = document.createElement('div');
   board.className = 'fallback-board';
-  board.style.setProperty('--grid', GRID);
+  board.setAttribute('role', 'grid');
+  board.setAttribute('aria-label', format.t('board.label'));
   root.appendChild(board);
 
-  const tiles = [];
-  for (let r = 0; r < GRID; r++) {
-    for (let c = 0; c < GRID; c++) {
-      const t = document.createElement('div');
-      t.className = 'fallback-tile';
-      t.dataset.row = r;
-      t.dataset.col = c;
-      board.appendChild(t);
-      tiles.push(t);
+  const popup = document.createElement('div');
+  popup.className = 'fallback-popup';
+  popup.setAttribute('role', 'status');
+  popup.dir = format.dir;
+  popup.innerHTML =
+    '<div class="fallback-popup-multiplier"></div>' +
+    '<div class="fallback-popup-amount">' +
+    '<span class="fallback-popup-value"></span><span class="fallback-popup-coin"></span>' +
+    '</div>';
+  root.appendChild(popup);
+
+  // Motion modes switch the CSS transitions off (see style.css)
+  let motion = resolveMotion(opts.motion);
+  let followMotionPreference = !MOTION_MODES.includes(opts.motion);
+  function applyMotion(next) {
+    motion = next;
+    board.dataset.motion = motion;
+    popup.dataset.motion = motion;
+  }
+  applyMotion(motion);
+  const unwatchMotion = watchMotionPreference((preferred) => {
+    if (followMotionPreference) applyMotion(preferred);
+  });
+
+  function setMotion(mode) {
+    followMotionPreference = !MOTION_MODES.includes(mode);
+    applyMotion(resolveMotion(mode));
+  }
+
+  function getMotion() {
+    return motion;
+  }
+
+  // Only the end-of-round stagger is paced; "instant" also drops the transitions
+  let speed = resolveSpeed(opts.speed);
+  function setSpeed(next) {
+    speed = resolveSpeed(next);
+    board.dataset.speed = speed;
+    popup.dataset.speed = speed;
+  }
+  setSpeed(speed);
+
+  function getSpeed() {
+    return speed;
+  }
+
+  // Nothing to scale down on the DOM board
+  function getPerformanceProfile() {
+    return 'low';
+  }
+
+  // Colors come from the same theme as the Pixi board, as CSS variables
+  function applyTheme(theme) {
+    applyThemeToElement(board, theme);
+    applyThemeToElement(popup, theme);
+  }
+  function setTheme(theme) {
+    applyTheme(resolveTheme(theme));
+  }
+  applyTheme(resolveTheme(opts.theme, {
+    appBg: opts.backgroundColor,
+    fontFamily: opts.fontFamily,
+  }));
+
+  let tiles = [];
+  function buildTiles() {
+    const grid = engine.grid;
+    board.innerHTML = '';
+    board.style.setProperty('--grid', grid);
+    tiles = [];
+    for (let r = 0; r < grid; r++) {
+      for (let c = 0; c < grid; c++) {
+        const t = document.createElement('div');
+        t.className = 'fallback-tile';
+        t.dataset.row = r;
+        t.dataset.col = c;
+        t.setAttribute('role', 'gridcell');
+        t.setAttribute('aria-label', describeTile(r, c, 'hidden', format.t));
+        if (session.isAutoSelected(r, c)) t.classList.add('auto-selected');
+        board.appendChild(t);
+        tiles.push(t);
+      }
     }
   }
 
-  function reset() {
-    tiles.forEach((t) => {
-      t.classList.remove('revealed', 'bomb', 'diamond');
-      t.textContent = '';
-    });
+  const tileAt = (row, col) => tiles[row * engine.grid + col];
+
+  function showFace(t, face, picked) {
+    t.classList.remove('selected');
+    t.classList.add('revealed', face);
+    if (!picked) t.classList.add('unpicked');
+    t.textContent = face === 'bomb' ? '💣' : '💎';
+    t.setAttribute('aria-label', describeTile(Number(t.dataset.row), Number(t.dataset.col), face, format.t));
+  }
+
+  function clearRevealTimers() {
+    revealTimers.forEach((id) => clock.clearTimeout(id));
+    revealTimers = [];
+  }
+
+  const session = createMinesSession({ ...opts, clock, waitForView: false }, {
+    tileAt,
+    onReset: () => {
+      clearRevealTimers();
+      hideWinPopup();
+      buildTiles();
+    },
+    onPick: ({ row, col }) => {
+      const tile = tileAt(row, col);
+      tile.classList.add('selected');
+      tile.setAttribute('aria-label', describeTile(row, col, 'selected', format.t));
+    },
+    onReveal: ({ row, col, face }) => showFace(tileAt(row, col), face, true),
+    onLayout: () => {
+      const unseen = tiles.filter((t) => !engine.getFace(Number(t.dataset.row), Number(t.dataset.col)));
+      unseen.forEach((t, idx) => {
+        const row = Number(t.dataset.row);
+        const col = Number(t.dataset.col);
+        revealTimers.push(clock.setTimeout(() => {
+          showFace(t, engine.isBomb(row, col) ? 'bomb' : 'diamond', false);
+        }, motion === 'none' ? 0 : revealAllIntervalDelay * idx * SPEEDS[speed]));
+      });
+    },
+    showPayout: showWinPopup,
+    onAutoSelectionChange: (position) => {
+      const changed = position ? [tileAt(position.row, position.col)] : tiles;
+      changed.forEach((t) => {
+        t.classList.toggle('auto-selected', session.isAutoSelected(Number(t.dataset.row), Number(t.dataset.col)));
+      });
+    },
+  });
+  const { engine, getState } = session;
+
+  buildTiles();
+
+  // Win popup
+
+  // No audio here; kept so hosts can call the same API
+  function setVolume() {}
+  function setMuted() {}
+  function setEffectVolume() {}
+  function getSoundSettings() {
+    return { volume: 0, muted: true, effects: {} };
   }
 
-  function setMines(n) {
-    mines = Math.max(1, Math.min(n | 0, GRID * GRID - 1));
-    reset();
+  function showWinPopup(multiplier, amount, currencyValue) {
+    const currency =
+      !currencyValue || currencyValue === format.currency.code
+        ? format.currency
+        : resolveCurrency(currencyValue);
+    popup.querySelector('.fallback-popup-multiplier').textContent = format.multiplier(multiplier);
+    popup.querySelector('.fallback-popup-value').textContent = format.amount(amount, currency);
+    const coin = popup.querySelector('.fallback-popup-coin');
+    coin.textContent = '';
+    if (currency.icon) {
+      const img = document.createElement('img');
+      img.src = currency.icon;
+      img.alt = currency.code;
+      coin.appendChild(img);
+    } else {
+      coin.textContent = currency.symbol ?? currency.code;
+    }
+    popup.classList.add('visible');
   }
 
-  // Minimal API to satisfy main.js controls
-  function setSelectedCardIsDiamond() {}
-  function SetSelectedCardIsBomb() {}
-  function showWinPopup() {}
+  function hideWinPopup() {
+    popup.classList.remove('visible');
+  }
 
-  // Basic interactivity: tap reveals random content with a simple rule
-  board.addEventListener('click', (ev) => {
+  function onBoardClick(ev) {
     const t = ev.target;
     if (!(t instanceof HTMLElement) || !t.classList.contains('fallback-tile')) return;
-    if (t.classList.contains('revealed')) return;
+    session.activate(Number(t.dataset.row), Number(t.dataset.col));
+  }
+  board.addEventListener('click', onBoardClick);
 
-    // Very simple randomization similar to main.js example
-    const isBomb = Math.random() < Math.min(0.85, mines / (GRID * GRID));
-    t.classList.add('revealed');
-    t.classList.add(isBomb ? 'bomb' : 'diamond');
-    t.textContent = isBomb ? '💣' : '💎';
+  const ro = new ResizeObserver(() => {
+    session.emit('resize', {
+      width: board.clientWidth,
+      height: board.clientHeight,
+      tileSize: tiles[0]?.offsetWidth ?? 0,
+      state: getState(),
+    });
   });
+  ro.observe(board);
+
+  function destroy() {
+    session.destroy();
+    ro.disconnect();
+    clearRevealTimers();
+    unwatchMotion();
+    board.removeEventListener('click', onBoardClick);
+    board.remove();
+    popup.remove();
+  }
 
   // Return API used by main.js bindings
   return {
-    reset,
-    setMines,
-    setSelectedCardIsDiamond,
-    SetSelectedCardIsBomb,
+    ...session.api,
+    setTheme,
+    setVolume,
+    setMuted,
+    setEffectVolume,
+    getSoundSettings,
+    destroy,
     showWinPopup,
+    setMotion,
+    getMotion,
+    setSpeed,
+    getSpeed,
+    getPerformanceProfile,
   };
 }
-
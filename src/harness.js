@@ -0,0 +1,84 @@
+// Test harness for the Pixi board: runs the game on a manual clock with a
+// seeded RNG and a stopped ticker, so a scripted round renders the same
+// frames every time. Meant for a headless browser driven by a test runner;
+// see "Visual regression tests" in the README.
+//
+// Usage:
+//   const h = await createMinesHarness("#mines", {
+//     onCardSelected: () => h.game.setSelectedCardIsDiamond(),
+//   });
+//   h.pick(0, 0);
+//   await h.advance(1000);
+//   const png = h.snapshot(); // data URL, compare against a golden file
+
+import { createMinesGame } from "./mines.js";
+import { createManualClock, createSeededRandom, realClock, sleep } from "./clock.js";
+
+export async function createMinesHarness(
+  mount,
+  { seed = 1, frameMs = 1000 / 60, ...opts } = {}
+) {
+  const clock = createManualClock();
+  const game = await createMinesGame(mount, {
+    // Nothing that depends on the machine or on earlier runs
+    muted: true,
+    musicPath: null,
+    soundStorageKey: null,
+    history: { storageKey: null },
+    motion: "full",
+    performance: "high",
+    ...opts,
+    domFallback: false,
+    clock,
+    random: createSeededRandom(seed),
+  });
+
+  const root = typeof mount === "string" ? document.querySelector(mount) : mount;
+  const { ticker } = game.app;
+  ticker.stop();
+  ticker.lastTime = clock.now();
+
+  // Renders frames without yielding; fires the clock's timers on the way
+  function step(frames = 1) {
+    for (let i = 0; i < frames; i++) {
+      clock.advance(frameMs);
+      ticker.update(clock.now());
+    }
+  }
+
+  // Steps through ms of game time, letting promises (bets, host callbacks)
+  // settle between frames
+  async function advance(ms) {
+    const frames = Math.max(1, Math.round(ms / frameMs));
+    for (let i = 0; i < frames; i++) {
+      step();
+      await sleep(realClock, 0);
+    }
+  }
+
+  // Picks a tile the way a keyboard user would
+  function pick(row, col) {
+    const gridEl = root.querySelector(".mines-a11y-grid");
+    const cell = gridEl?.children[row]?.children[col];
+    if (!cell) throw new Error(`pick: no tile at ${row},${col}`);
+    cell.dispatchEvent(new FocusEvent("focus"));
+    gridEl.dispatchEvent(new KeyboardEvent("keydown", { key: "Enter", bubbles: true }));
+  }
+
+  // PNG data URL of the current frame. Rendered here so the WebGL drawing
+  // buffer is still intact when the canvas is read.
+  function snapshot() {
+    game.app.renderer.render(game.app.stage);
+    return game.app.canvas.toDataURL("image/png");
+  }
+
+  return {
+    game,
+    clock,
+    step,
+    advance,
+    pick,
+    snapshot,
+    destroy: () => game.destroy(),
+  };
+}
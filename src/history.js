@@ -0,0 +1,172 @@
+// Session history of finished rounds, optionally persisted to localStorage,
+// plus a small DOM panel ("My bets") that renders it with its stats.
+
+import { createFormatter } from "./i18n.js";
+
+const DEFAULT_LIMIT = 100;
+
+// Summary of a history list (newest first, as returned by list())
+export function computeStats(history) {
+  let wins = 0;
+  let wagered = 0;
+  let paidOut = 0;
+  let biggestMultiplier = 0;
+
+  for (const round of history) {
+    wagered += round.bet ?? 0;
+    paidOut += round.payout ?? 0;
+    if (round.outcome !== "lost") {
+      wins += 1;
+      biggestMultiplier = Math.max(biggestMultiplier, round.multiplier ?? 0);
+    }
+  }
+
+  // Newest rounds with the same result: wins count up, losses down
+  let streak = 0;
+  for (const round of history) {
+    const won = round.outcome !== "lost";
+    if (streak !== 0 && won !== streak > 0) break;
+    streak += won ? 1 : -1;
+  }
+
+  return {
+    rounds: history.length,
+    wins,
+    losses: history.length - wins,
+    winRate: history.length ? wins / history.length : 0,
+    biggestMultiplier,
+    wagered,
+    netProfit: paidOut - wagered,
+    streak,
+  };
+}
+
+export function createRoundHistory({
+  storageKey = null,
+  limit = DEFAULT_LIMIT,
+  storage = globalThis.localStorage,
+} = {}) {
+  let rounds = load();
+
+  function load() {
+    if (!storageKey || !storage) return [];
+    try {
+      const saved = JSON.parse(storage.getItem(storageKey) ?? "[]");
+      return Array.isArray(saved) ? saved.slice(0, limit) : [];
+    } catch (e) {
+      console.warn("history: could not read saved rounds", e);
+      return [];
+    }
+  }
+
+  function save() {
+    if (!storageKey || !storage) return;
+    try {
+      storage.setItem(storageKey, JSON.stringify(rounds));
+    } catch (e) {
+      console.warn("history: could not save rounds", e);
+    }
+  }
+
+  function add(round) {
+    rounds.unshift({ ...round });
+    rounds.length = Math.min(rounds.length, limit);
+    save();
+  }
+
+  function clear() {
+    rounds = [];
+    save();
+  }
+
+  return {
+    add,
+    clear,
+    list: () => rounds.map((round) => ({ ...round })),
+    getStats: () => computeStats(rounds),
+  };
+}
+
+// Usage:
+//   const panel = createHistoryPanel("#history");
+//   onChange: () => panel.update(game.getHistory(), game.getStats())
+// locale and messages work as in createMinesGame.
+export function createHistoryPanel(
+  mount,
+  { title, rows = 10, locale, currency, messages } = {}
+) {
+  const root = typeof mount === "string" ? document.querySelector(mount) : mount;
+  if (!root) throw new Error("createHistoryPanel: mount element not found");
+
+  const format = createFormatter({ locale, currency, messages });
+  const { t } = format;
+
+  const panel = document.createElement("section");
+  panel.className = "mines-history";
+  panel.dir = format.dir;
+  panel.innerHTML = `
+    <h3 class="mines-history-title"></h3>
+    <dl class="mines-history-stats"></dl>
+    <table class="mines-history-rounds">
+      <thead><tr></tr></thead>
+      <tbody></tbody>
+    </table>
+  `;
+  panel.querySelector(".mines-history-title").textContent = title ?? t("history.title");
+  const headRow = panel.querySelector("thead tr");
+  for (const key of ["time", "board", "tiles", "multiplier", "payout"]) {
+    const th = document.createElement("th");
+    th.textContent = t(`history.${key}`);
+    headRow.appendChild(th);
+  }
+  root.appendChild(panel);
+
+  const statsEl = panel.querySelector(".mines-history-stats");
+  const bodyEl = panel.querySelector("tbody");
+
+  function stat(label, value) {
+    const dt = document.createElement("dt");
+    dt.textContent = label;
+    const dd = document.createElement("dd");
+    dd.textContent = value;
+    statsEl.append(dt, dd);
+  }
+
+  function update(history, stats = computeStats(history)) {
+    statsEl.innerHTML = "";
+    stat(t("history.rounds"), format.formatNumber(stats.rounds, 0));
+    stat(
+      t("history.winRate"),
+      new Intl.NumberFormat(format.locale, { style: "percent" }).format(stats.winRate)
+    );
+    stat(t("history.best"), format.multiplier(stats.biggestMultiplier));
+    stat(t("history.profit"), format.amount(stats.netProfit));
+
+    bodyEl.innerHTML = "";
+    for (const round of history.slice(0, rows)) {
+      const tr = document.createElement("tr");
+      tr.className = `mines-history-${round.outcome}`;
+      tr.title = t(`outcome.${round.outcome}`);
+      const cells = [
+        new Date(round.time).toLocaleTimeString(format.locale),
+        t("history.boardSize", { grid: round.grid, mines: round.mines }),
+        format.formatNumber(round.revealed, 0),
+        format.multiplier(round.multiplier ?? 0),
+        format.amount(round.payout ?? 0, round.currency ?? format.currency),
+      ];
+      for (const text of cells) {
+        const td = document.createElement("td");
+        td.textContent = text;
+        tr.appendChild(td);
+      }
+      bodyEl.appendChild(tr);
+    }
+  }
+
+  update([]);
+
+  return {
+    update,
+    destroy: () => panel.remove(),
+  };
+}
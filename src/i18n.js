@@ -0,0 +1,136 @@
+// Locale-aware number formatting, currency descriptors and the message
+// catalog for every user-visible string (Pixi board, DOM fallback, history
+// panel, screen-reader text).
+
+// {placeholders} are filled from the params passed to t()
+export const DEFAULT_MESSAGES = Object.freeze({
+  "board.label": "Mines board",
+  "tile.label": "Row {row}, column {col}, {face}",
+  "face.hidden": "hidden",
+  "face.selected": "selected, waiting for result",
+  "face.diamond": "diamond",
+  "face.bomb": "bomb",
+  "announce.bomb": "{tile}. You hit a bomb, round over",
+  "announce.won": "{tile}. All diamonds found",
+  "announce.cashOut": "Cashed out at {multiplier}",
+  multiplier: "{value}×",
+  "hud.next": "Next {multiplier}",
+  "hud.winStreak": "W{count}",
+  "hud.lossStreak": "L{count}",
+  "history.title": "My bets",
+  "history.rounds": "Rounds",
+  "history.winRate": "Win rate",
+  "history.best": "Best",
+  "history.profit": "Profit",
+  "history.time": "Time",
+  "history.board": "Board",
+  "history.tiles": "Tiles",
+  "history.multiplier": "Multiplier",
+  "history.payout": "Payout",
+  "history.boardSize": "{grid}×{grid} · {mines} 💣",
+  "outcome.won": "Won",
+  "outcome.cashed-out": "Cashed out",
+  "outcome.lost": "Lost",
+});
+
+// crypto: amounts show at least 2 and up to `decimals` fraction digits;
+// fiat: always exactly `decimals`
+export const CURRENCIES = Object.freeze({
+  BTC: { code: "BTC", symbol: "₿", decimals: 8, crypto: true },
+  ETH: { code: "ETH", symbol: "Ξ", decimals: 8, crypto: true },
+  LTC: { code: "LTC", symbol: "Ł", decimals: 8, crypto: true },
+  USDT: { code: "USDT", symbol: "₮", decimals: 2, crypto: true },
+  USD: { code: "USD", symbol: "$", decimals: 2, crypto: false },
+  EUR: { code: "EUR", symbol: "€", decimals: 2, crypto: false },
+  GBP: { code: "GBP", symbol: "£", decimals: 2, crypto: false },
+});
+
+const RTL_LANGUAGES = new Set(["ar", "fa", "he", "ps", "ur", "yi", "dv", "ckb"]);
+
+export function isRtlLocale(locale) {
+  const language = `${locale ?? ""}`.toLowerCase().split(/[-_]/)[0];
+  return RTL_LANGUAGES.has(language);
+}
+
+// Accepts a code ("EUR") or a descriptor { code, symbol, icon, decimals, crypto }.
+// Unknown codes keep the crypto-style 2 to 8 digits.
+export function resolveCurrency(input = "BTC") {
+  const descriptor = typeof input === "string" ? { code: input } : { ...input };
+  const code = `${descriptor.code ?? "BTC"}`.toUpperCase();
+  const preset = CURRENCIES[code] ?? { code, symbol: code, decimals: 8, crypto: true };
+  return {
+    ...preset,
+    ...descriptor,
+    code,
+    icon: descriptor.icon ?? null, // texture/image url shown instead of the symbol
+  };
+}
+
+export function createFormatter({
+  locale = "en-US",
+  currency = "BTC",
+  messages = {},
+} = {}) {
+  const catalog = { ...DEFAULT_MESSAGES, ...messages };
+  const defaultCurrency = resolveCurrency(currency);
+  const numberFormats = new Map();
+
+  function numberFormat(options) {
+    const key = JSON.stringify(options);
+    if (!numberFormats.has(key)) {
+      numberFormats.set(key, new Intl.NumberFormat(locale, options));
+    }
+    return numberFormats.get(key);
+  }
+
+  function t(key, params = {}) {
+    const template = catalog[key] ?? DEFAULT_MESSAGES[key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+      name in params ? `${params[name]}` : match
+    );
+  }
+
+  function formatNumber(value, fractionDigits = 2) {
+    return numberFormat({
+      minimumFractionDigits: fractionDigits,
+      maximumFractionDigits: fractionDigits,
+    }).format(value);
+  }
+
+  // Strings are passed through, so hosts can show pre-formatted values
+  function amount(value, currency = defaultCurrency) {
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      return `${value ?? ""}`;
+    }
+    const { decimals, crypto } =
+      typeof currency === "string" ? resolveCurrency(currency) : currency;
+    return numberFormat({
+      minimumFractionDigits: crypto ? Math.min(2, decimals) : decimals,
+      maximumFractionDigits: decimals,
+    }).format(value);
+  }
+
+  function multiplier(value) {
+    if (typeof value === "number" && Number.isFinite(value)) {
+      return t("multiplier", { value: formatNumber(value) });
+    }
+    const raw = `${value ?? ""}`;
+    if (!raw) return "";
+    // Already carries the sign (e.g. "2.50×")
+    const sign = t("multiplier", { value: "" }).trim();
+    return sign && raw.includes(sign) ? raw : t("multiplier", { value: raw });
+  }
+
+  const rtl = isRtlLocale(locale);
+
+  return {
+    locale,
+    currency: defaultCurrency,
+    rtl,
+    dir: rtl ? "rtl" : "ltr",
+    t,
+    formatNumber,
+    amount,
+    multiplier,
+  };
+}
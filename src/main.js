@@ -1,4 +1,6 @@
 import { createMinesGame } from "./mines.js";
+import { createDemoWallet } from "./wallet.js";
+import { createHistoryPanel } from "./history.js";
 import diamondTextureUrl from "../assets/sprites/Diamond.png";
 import bombTextureUrl from "../assets/sprites/Bomb.png";
 import explosionSheetUrl from "../assets/sprites/Explosion_Spritesheet.png";
@@ -13,11 +15,28 @@ import gameStartSoundUrl from "../assets/sounds/GameStart.ogg";
 
 
 let game;
+const BET_AMOUNT = 0.0001;
+const historyPanel = createHistoryPanel("#history");
+
+function renderBalance(state) {
+  const balanceEl = document.querySelector("#balance");
+  if (!balanceEl || state.balance == null) return;
+  const stake = state.bet ? ` · bet ${state.bet.amount}` : "";
+  balanceEl.textContent = `Balance: ${state.balance.toFixed(8)}${stake}`;
+}
+
+function handleChange(state) {
+  renderBalance(state);
+  if (game) historyPanel.update(game.getHistory(), game.getStats());
+}
+
 const opts = {
   // Window visuals
   size: 600,
-  backgroundColor: "#121212",
-  fontFamily: "Inter, system-ui, -apple-system, Segoe UI, Arial",
+  theme: {
+    appBg: "#121212",
+    fontFamily: "Inter, system-ui, -apple-system, Segoe UI, Arial",
+  },
 
   // Game setup
   grid: 5,
@@ -78,21 +97,23 @@ const opts = {
   winSoundPath: winSoundUrl,
   gameStartSoundPath: gameStartSoundUrl,
 
+  // Payout
+  houseEdge: 0.01,
+  wallet: createDemoWallet({ balance: 0.01, currency: "BTC" }),
+  currency: "BTC",
+  history: { storageKey: "mines.history", limit: 100 },
+
   // Win pop-up
   winPopupShowDuration: 260,
   winPopupWidth: 240,
   winPopupHeight: 170,
 
-  // Event callback for when a card is selected
-  onCardSelected: ({ row, col, tile }) => {
-    if (Math.random() < 0.15) {
-      game?.SetSelectedCardIsBomb?.();
-    } else {
-      game?.setSelectedCardIsDiamond?.();
-    }
-  },
-  onWin: () => {
-    game?.showWinPopup?.(24.75, "0.00000000");
+  // Outcomes come from the built-in provably-fair engine.
+  // Pass onCardSelected to decide them on the host instead.
+  onChange: handleChange,
+  onAutobetStop: () => {
+    const autobetBtn = document.querySelector("#autobetBtn");
+    if (autobetBtn) autobetBtn.textContent = "▶️ Start";
   },
 };
 
@@ -100,6 +121,7 @@ const opts = {
 (async () => {
   try {
     game = await createMinesGame("#mines", opts);
+    historyPanel.update(game.getHistory(), game.getStats());
   } catch (e) {
     console.error("Game initialization failed:", e);
     const minesDiv = document.querySelector("#mines");
@@ -118,6 +140,14 @@ const opts = {
 document
   .querySelector("#resetBtn")
   ?.addEventListener("click", () => game.reset());
+document
+  .querySelector("#betBtn")
+  ?.addEventListener("click", () => {
+    game.placeBet(BET_AMOUNT).catch((e) => console.warn(e.message));
+  });
+document
+  .querySelector("#cashOutBtn")
+  ?.addEventListener("click", () => game.cashOut());
 document
   .querySelector("#easyBtn")
   ?.addEventListener("click", () => game.setMines(3));
@@ -126,10 +156,31 @@ document
   ?.addEventListener("click", () => game.setMines(10));
 
 document
-  .querySelector("#diamondBtn")
-  ?.addEventListener("click", () => game.setSelectedCardIsDiamond());
+  .querySelector("#gridSelect")
+  ?.addEventListener("change", (ev) => game.setGrid(Number(ev.target.value)));
+
+document
+  .querySelector("#autoSelectBtn")
+  ?.addEventListener("click", () => {
+    game.setAutoSelectMode(!game.getState().autoSelectMode);
+  });
 document
-  .querySelector("#bombBtn")
-  ?.addEventListener("click", () => game.SetSelectedCardIsBomb());
+  .querySelector("#autobetBtn")
+  ?.addEventListener("click", (ev) => {
+    if (game.getState().autobetRunning) {
+      game.stopAutobet();
+      return;
+    }
+    if (!game.getState().autoSelection.length) return;
+    ev.currentTarget.textContent = "⏹️ Stop";
+    game.startAutobet({
+      rounds: 10,
+      baseBet: BET_AMOUNT,
+      onWin: { mode: "reset" },
+      onLoss: { mode: "increase", percent: 100 },
+      stopOnProfit: BET_AMOUNT * 10,
+      stopOnLoss: BET_AMOUNT * 20,
+    });
+  });
 
 window.minesGame = game;
@@ -0,0 +1,462 @@
+// Types for createMinesGame (mines.js) and createFallbackMinesGame (fallback.js)
+
+import type { Application } from "pixi.js";
+
+export type Face = "diamond" | "bomb";
+export type RoundStatus =
+  | "idle"
+  | "awaiting-outcome"
+  | "revealing"
+  | "won"
+  | "lost"
+  | "cashed-out";
+export type RoundOutcome = "won" | "cashed-out" | "lost";
+
+export interface TilePosition {
+  row: number;
+  col: number;
+}
+
+export interface FairnessInfo {
+  grid: number;
+  mines: number;
+  clientSeed: string;
+  nonce: number;
+  serverSeedHash: string;
+  /** null until the round is over */
+  serverSeed: string | null;
+}
+
+export interface Bet {
+  roundId: string | null;
+  amount: number;
+  currency: string;
+}
+
+export interface MinesState {
+  grid: number;
+  mines: number;
+  status: RoundStatus;
+  revealedSafe: number;
+  totalSafe: number;
+  gameOver: boolean;
+  cashedOut: boolean;
+  waitingForChoice: boolean;
+  /** Oldest pick still waiting for its outcome */
+  selectedTile: TilePosition | null;
+  selectedTiles: TilePosition[];
+  currentMultiplier: number;
+  nextMultiplier: number | null;
+  fairness: FairnessInfo | null;
+  bombPositions: TilePosition[] | null;
+  replaying: boolean;
+  bet: Bet | null;
+  balance: number | null;
+  autoSelectMode: boolean;
+  autoSelection: TilePosition[];
+  autobetRunning: boolean;
+}
+
+export interface MinesEvents {
+  /** A fresh board is ready (reset, setMines, setGrid, ...) */
+  roundStart: { grid: number; mines: number; state: MinesState };
+  tilePick: TilePosition & { state: MinesState };
+  /** A picked tile finished revealing */
+  tileReveal: TilePosition & { face: Face; roundOver: boolean; state: MinesState };
+  /** Every diamond was found */
+  win: { multiplier: number; payout: number; bet: number; state: MinesState };
+  /** A bomb was hit at row/col */
+  loss: TilePosition & { bet: number; state: MinesState };
+  cashOut: { multiplier: number; payout: number; bet: number; state: MinesState };
+  resize: { width: number; height: number; tileSize: number; state: MinesState };
+  destroy: { state: MinesState };
+  /** Any state change; the payload is the snapshot itself */
+  change: MinesState;
+}
+
+export type MinesEventName = keyof MinesEvents;
+export type MinesListener<K extends MinesEventName> = (payload: MinesEvents[K]) => void;
+
+export interface Wallet {
+  placeBet(
+    amount: number,
+    currency: string
+  ): Promise<{ roundId: string; amount?: number; currency?: string; balance?: number }>;
+  settle(roundId: string, payout: number): Promise<{ balance?: number } | void>;
+  getBalance(): Promise<{ amount: number; currency: string }>;
+}
+
+export interface AutobetAdjust {
+  mode: "reset" | "increase";
+  percent?: number;
+}
+
+export interface AutobetConfig {
+  /** 0 = until stopped */
+  rounds?: number;
+  baseBet?: number;
+  onWin?: AutobetAdjust;
+  onLoss?: AutobetAdjust;
+  stopOnProfit?: number;
+  stopOnLoss?: number;
+}
+
+export interface AutobetRoundResult {
+  outcome: "win" | "loss";
+  multiplier: number;
+  payout: number;
+}
+
+export interface AutobetSummary {
+  reason: "stopped" | "rounds" | "profit" | "loss" | "error";
+  rounds: number;
+  profit: number;
+  error: unknown | null;
+}
+
+export interface HistoryEntry {
+  grid: number;
+  mines: number;
+  revealed: number;
+  bet: number;
+  currency: string;
+  multiplier: number;
+  payout: number;
+  outcome: RoundOutcome;
+  time: number;
+}
+
+export interface HistoryStats {
+  rounds: number;
+  wins: number;
+  losses: number;
+  winRate: number;
+  biggestMultiplier: number;
+  wagered: number;
+  netProfit: number;
+  /** Consecutive wins (> 0) or losses (< 0) up to the latest round */
+  streak: number;
+}
+
+export interface ReplayEvent {
+  type: "pick" | "outcome" | "end";
+  /** ms since the round started */
+  at: number;
+  row?: number;
+  col?: number;
+  face?: Face;
+  status?: RoundOutcome;
+  multiplier?: number;
+}
+
+export interface ReplayLog {
+  version: number;
+  config: {
+    grid: number;
+    mines: number;
+    houseEdge: number;
+    outcomeSource: "fair" | "host";
+    clientSeed: string;
+    nonce?: number;
+    selectionLimit?: number;
+  };
+  startedAt: number;
+  events: ReplayEvent[];
+  result: {
+    status: RoundStatus;
+    revealedSafe: number;
+    bombPositions: TilePosition[];
+    fairness: FairnessInfo | null;
+  } | null;
+  bet?: { amount: number; currency: string } | null;
+}
+
+export interface SoundSettings {
+  volume: number;
+  muted: boolean;
+  effects: Record<string, number>;
+}
+
+/** Time source for animations and timers; defaults to performance.now and window timers */
+export interface Clock {
+  now(): number;
+  setTimeout(fn: () => void, ms?: number): unknown;
+  clearTimeout(id: unknown): void;
+}
+
+export interface CurrencyDescriptor {
+  code: string;
+  symbol?: string;
+  /** Image url shown in the coin badge instead of the symbol */
+  icon?: string | null;
+  /** Maximum fraction digits */
+  decimals?: number;
+  /** Crypto amounts show 2 to `decimals` digits, fiat exactly `decimals` */
+  crypto?: boolean;
+}
+
+export interface SkinManifest {
+  name?: string;
+  /** Base for relative urls of an inline manifest (default: the page) */
+  baseUrl?: string;
+  textures?: { diamond?: string; bomb?: string; explosion?: string };
+  /** Grid of the explosion spritesheet */
+  explosion?: { cols?: number; rows?: number; fps?: number };
+  /** Effect name (tileTapped, win, ...) or "music" -> url */
+  sounds?: Record<string, string>;
+  /** Theme colors, see src/theme.js */
+  palette?: Record<string, number | string>;
+}
+
+export type ThemeInput = string | Record<string, number | string>;
+
+export type MotionMode = "full" | "reduced" | "none";
+export type PerformanceProfile = "high" | "low";
+export type RevealSpeed = "normal" | "fast" | "instant";
+
+export interface MinesGameOptions {
+  size?: number;
+  grid?: number;
+  mines?: number;
+  theme?: ThemeInput;
+  /** @deprecated use theme.appBg */
+  backgroundColor?: number | string;
+  /** @deprecated use theme.fontFamily */
+  fontFamily?: string;
+  houseEdge?: number;
+  clientSeed?: string;
+  nonce?: number;
+  wallet?: Wallet;
+  /** Code ("EUR") or a descriptor; default "BTC" */
+  currency?: string | CurrencyDescriptor;
+  /** BCP 47 tag for numbers and text direction; default "en-US" */
+  locale?: string;
+  /** Overrides for the message catalog (see DEFAULT_MESSAGES in src/i18n.js) */
+  messages?: Record<string, string>;
+  history?: { storageKey?: string | null; limit?: number };
+  domFallback?: boolean;
+  /** Skin pack: manifest url or object; explicit options win over it */
+  skin?: string | SkinManifest;
+  /** Asset loading progress, 0..1 */
+  onProgress?: (progress: number) => void;
+  /** Show the built-in loading bar (default true) */
+  loadingBar?: boolean;
+
+  // Board visuals
+  diamondTexturePath?: string;
+  /** @deprecated misspelt alias of diamondTexturePath */
+  dimaondTexturePath?: string;
+  bombTexturePath?: string;
+  /** Icon size as a share of the tile; default 0.7 */
+  iconSizePercentage?: number;
+  /** Extra icon scale once revealed; default 0.85 */
+  iconRevealedSizeFactor?: number;
+  /** ms; default 300 */
+  cardsSpawnDuration?: number;
+  /** ms between the flips of the unpicked tiles at the end; default 40 */
+  revealAllIntervalDelay?: number;
+
+  // Hover
+  hoverEnabled?: boolean;
+  /** ms; default 120 */
+  hoverEnterDuration?: number;
+  /** ms; default 200 */
+  hoverExitDuration?: number;
+  /** Skew axis of the hover tilt; default "x" */
+  hoverTiltAxis?: "x" | "y";
+  hoverSkewAmount?: number;
+
+  // Wiggle of picked tiles waiting for an outcome
+  wiggleSelectionEnabled?: boolean;
+  /** ms; default 900 */
+  wiggleSelectionDuration?: number;
+  wiggleSelectionTimes?: number;
+  wiggleSelectionIntensity?: number;
+  wiggleSelectionScale?: number;
+
+  // Reveal flip
+  /** Random delay before a player flip, ms; defaults 150 and 500 */
+  flipDelayMin?: number;
+  flipDelayMax?: number;
+  /** ms; default 300 */
+  flipDuration?: number;
+  flipEaseFunction?: "easeInOutSine" | "easeInOutBack";
+
+  // Bomb explosion
+  explosionShakeEnabled?: boolean;
+  /** ms; default 1000 */
+  explosionShakeDuration?: number;
+  /** px */
+  explosionShakeAmplitude?: number;
+  /** radians */
+  explosionShakerotationAmplitude?: number;
+  /** Hz */
+  explosionShakeBaseFrequency?: number;
+  explosionShakeSecondaryFrequency?: number;
+  explosionSheetEnabled?: boolean;
+  explosionSheetPath?: string;
+  explosionSheetCols?: number;
+  explosionSheetRows?: number;
+  explosionSheetFps?: number;
+  /** Sheet size as a share of the tile */
+  explosionSheetScaleFit?: number;
+  explosionSheetOpacity?: number;
+
+  // Win popup
+  /** ms */
+  winPopupShowDuration?: number;
+  winPopupWidth?: number;
+  winPopupHeight?: number;
+
+  /** Picks that may wait for an outcome at once (multi-pick when > 1) */
+  selectionLimit?: number;
+  /** ms between the flips of tiles resolved together */
+  selectionRevealInterval?: number;
+  /** Replace to make animations reproducible (see src/clock.js) */
+  clock?: Partial<Clock>;
+  /** Math.random replacement for animation jitter and host-mode layouts */
+  random?: () => number;
+
+  /** Reveal pacing; default "normal" */
+  speed?: RevealSpeed;
+  /** Defaults to "reduced" under prefers-reduced-motion, else "full" */
+  motion?: MotionMode;
+  /** "auto" (default) drops to "low" when the FPS stays under minFps */
+  performance?: "auto" | PerformanceProfile;
+  /** FPS the auto profile expects; default 40 */
+  minFps?: number;
+  /** Where the auto profile remembers a drop; null to disable */
+  performanceStorageKey?: string | null;
+  /** ms a remembered drop holds before "high" is tried again; default one day */
+  performanceProfileMaxAge?: number;
+
+  // Reveal effects
+  /** false turns off sparkles and the coin shower (low-end devices) */
+  particlesEnabled?: boolean;
+  /** Particles alive at once; default 200 */
+  maxParticles?: number;
+  diamondSparkleEnabled?: boolean;
+  diamondSparkleCount?: number;
+  coinShowerEnabled?: boolean;
+  coinShowerCount?: number;
+  /** ms over which the coins keep falling */
+  coinShowerDuration?: number;
+  lossShakeEnabled?: boolean;
+  lossShakeDuration?: number;
+  /** px */
+  lossShakeAmplitude?: number;
+  lossFlashEnabled?: boolean;
+  lossFlashDuration?: number;
+  /** 0..1 */
+  lossFlashOpacity?: number;
+
+  // Sound
+  tileTappedSoundPath?: string;
+  tileSelectedSoundPath?: string;
+  tileFlipSoundPath?: string;
+  tileHoverSoundPath?: string;
+  diamondRevealedSoundPath?: string;
+  bombRevealedSoundPath?: string;
+  winSoundPath?: string;
+  gameStartSoundPath?: string;
+  volume?: number;
+  muted?: boolean;
+  effectVolumes?: Record<string, number>;
+  soundStorageKey?: string | null;
+  hoverSoundThrottle?: number;
+  musicPath?: string | null;
+  soundToggleEnabled?: boolean;
+
+  /** Multiplier ladder and streak above the board (default false) */
+  hudEnabled?: boolean;
+  /** ms the ladder takes to scroll to a new step */
+  hudScrollDuration?: number;
+
+  /** ms between autobet rounds; default 1200 */
+  autobetRoundDelay?: number;
+
+  // Host decisions
+  /** Decide the picked tile's face, then call setSelectedCardIsDiamond / SetSelectedCardIsBomb */
+  onCardSelected?: (pick: TilePosition & { tile: unknown }) => void;
+  /** Authoritative mine layout once the round is over */
+  onRoundEnd?: (state: MinesState) => TilePosition[] | null | void | Promise<TilePosition[] | null | void>;
+  /** Multiplier wins and cash-outs are paid at; default the game's own. A promise defers the payout. */
+  payoutMultiplier?: (state: MinesState) => number | Promise<number>;
+
+  // Legacy callbacks; prefer game.on()
+  onWin?: MinesListener<"win">;
+  onGameOver?: MinesListener<"loss">;
+  onChange?: MinesListener<"change">;
+  onCashOut?: (result: { multiplier: number; payout: number } & MinesState) => void;
+  onAutobetRound?: (result: AutobetRoundResult) => void;
+  onAutobetStop?: (summary: AutobetSummary) => void;
+}
+
+export interface MinesGame {
+  /** Missing when the DOM fallback is in use */
+  app?: Application;
+
+  on<K extends MinesEventName>(event: K, listener: MinesListener<K>): () => void;
+  off<K extends MinesEventName>(event: K, listener: MinesListener<K>): void;
+  once<K extends MinesEventName>(event: K, listener: MinesListener<K>): () => void;
+
+  reset(): void;
+  setMines(n: number): void;
+  setGrid(n: number): void;
+  setTheme(theme: ThemeInput): void;
+  getState(): MinesState;
+  setBoardLayout(positions: TilePosition[]): void;
+  setClientSeed(seed: string): void;
+
+  placeBet(amount: number, currency?: string): Promise<Bet>;
+  getBalance(): Promise<{ amount: number; currency: string } | null>;
+  /** A promise (null if the payout failed) when payoutMultiplier returns one */
+  cashOut():
+    | { multiplier: number; payout: number }
+    | Promise<{ multiplier: number; payout: number } | null>
+    | null;
+
+  setAutoSelectMode(on: boolean): void;
+  clearAutoSelection(): void;
+  startAutobet(config: AutobetConfig): Promise<AutobetSummary | null>;
+  stopAutobet(): void;
+
+  setVolume(volume: number): void;
+  setMuted(muted: boolean): void;
+  setEffectVolume(key: string, volume: number): void;
+  getSoundSettings(): SoundSettings;
+
+  getReplay(): ReplayLog | null;
+  playReplay(log: ReplayLog, options?: { speed?: number }): Promise<boolean>;
+
+  getHistory(): HistoryEntry[];
+  getStats(): HistoryStats;
+  clearHistory(): void;
+
+  /** Host-decided rounds only (onCardSelected); ignored in provably-fair rounds */
+  setSelectedCardIsDiamond(): void;
+  SetSelectedCardIsBomb(): void;
+  /**
+   * Settles several picks at once; without results, fair rounds reveal the
+   * whole selection. Explicit results are rejected in fair rounds.
+   */
+  resolveSelection(results?: Array<TilePosition & { face: Face }>): boolean;
+  showWinPopup(
+    multiplier: number | string,
+    amount: number | string,
+    currency?: string | CurrencyDescriptor
+  ): void;
+  /** null follows prefers-reduced-motion again */
+  setMotion(mode: MotionMode | null): void;
+  getMotion(): MotionMode;
+  /** Takes effect from the next reveal */
+  setSpeed(speed: RevealSpeed): void;
+  getSpeed(): RevealSpeed;
+  getPerformanceProfile(): PerformanceProfile;
+  destroy(): void;
+}
+
+export function createMinesGame(
+  mount: string | HTMLElement,
+  opts?: MinesGameOptions
+): Promise<MinesGame>;
@@ -11,7 +11,31 @@ import {
 } from "pixi.js";
 
 // Sound will be loaded inside createMinesGame function
+import { createSoundManager, SILENT_SOUND } from "./sound.js";
 import Ease from "./ease.js";
+import { STATES } from "./engine.js";
+import { createMinesSession } from "./session.js";
+import { createFallbackMinesGame } from "./fallback.js";
+import { realClock } from "./clock.js";
+import { createBoardMirror, describeTile } from "./a11y.js";
+import { createFormatter, resolveCurrency } from "./i18n.js";
+import { createLoadingBar, loadSkin, loadSkinAssets } from "./skin.js";
+import { createParticleEmitter } from "./particles.js";
+import {
+  MOTION_MODES,
+  SPEEDS,
+  resolveMotion,
+  resolveSpeed,
+  watchMotionPreference,
+} from "./motion.js";
+import {
+  DEFAULT_PROFILE_MAX_AGE,
+  PERFORMANCE_PROFILES,
+  createFpsMonitor,
+  loadPerformanceProfile,
+  savePerformanceProfile,
+} from "./performance.js";
+import { resolveTheme } from "./theme.js";
 import diamondTextureUrl from "../assets/sprites/Diamond.png";
 import bombTextureUrl from "../assets/sprites/Bomb.png";
 import explosionSheetUrl from "../assets/sprites/Explosion_Spritesheet.png";
@@ -24,28 +48,15 @@ import bombRevealedSoundUrl from "../assets/sounds/BombRevealed.ogg";
 import winSoundUrl from "../assets/sounds/Win.ogg";
 import gameStartSoundUrl from "../assets/sounds/GameStart.ogg";
 
-const PALETTE = {
-  appBg: 0x0b1a22, // page/canvas background
-  tileBase: 0xE3E552, // main tile face
-  tileInset: 0xE3E552, // inner inset
-  tileStroke: 0x161616, // subtle outline
-  hover: 0xDFE0AC, // hover
-  pressedTint: 0x7a7a7a,
-  defaultTint: 0xffffff,
-  bombA: 0x721c26,
-  bombAUnrevealed: 0x26090c,
-  bombB: 0x5a0f16,
-  bombBUnrevealed: 0x2d070b,
-  safeA: 0x163d2b,
-  safeAUnrevealed: 0x081610,
-  safeB: 0x103526,
-  safeBUnrevealed: 0x081c13,
-};
-
-function tween(app, { duration = 300, update, complete, ease = (t) => t }) {
-  const start = performance.now();
+function tween(app, clock, { duration = 300, update, complete, ease = (t) => t }) {
+  if (duration <= 0) {
+    update?.(ease(1));
+    complete?.();
+    return;
+  }
+  const start = clock.now();
   const step = () => {
-    const t = Math.min(1, (performance.now() - start) / duration);
+    const t = Math.min(1, (clock.now() - start) / duration);
     update?.(ease(t));
     if (t >= 1) {
       app.ticker.remove(step);
@@ -63,37 +74,68 @@ export async function createMinesGame(mount, opts = {}) {
     sound = soundModule.sound;
   } catch (e) {
     console.warn("Sounds disabled:", e.message);
-    // Dummy sound object - must call callbacks to prevent hanging!
-    sound = {
-      add: (alias, options) => {
-        if (options && options.loaded) {
-          setTimeout(() => options.loaded(), 0);
-        }
-      },
-      play: () => {},
-      stop: () => {},
-      exists: () => false,
-    };
+    sound = SILENT_SOUND;
   }
 
+  // Skin pack (manifest url or object); it fills in whatever the options
+  // below leave unset. An invalid manifest rejects here, naming the entry.
+  const skin = (await loadSkin(opts.skin)) ?? {
+    textures: {},
+    explosion: {},
+    sounds: {},
+    palette: null,
+  };
+
   // Options
-  const GRID = opts.grid ?? 5;
-  let mines = Math.max(1, Math.min(opts.mines ?? 5, GRID * GRID - 1));
-  const fontFamily =
-    opts.fontFamily ?? "Inter, system-ui, -apple-system, Segoe UI, Arial";
+  // backgroundColor / fontFamily still override the theme for older hosts
+  let theme = resolveTheme(opts.theme ?? skin.palette, {
+    appBg: opts.backgroundColor,
+    fontFamily: opts.fontFamily,
+  });
   const initialSize = Math.max(1, opts.size ?? 400);
-  const onCardSelected = opts.onCardSelected ?? null;
-  const backgroundColor = opts.backgroundColor ?? PALETTE.appBg;
 
   // Visuals
-  const diamondTexturePath = opts.dimaondTexturePath ?? diamondTextureUrl;
-  const bombTexturePath = opts.bombTexturePath ?? bombTextureUrl;
+  // dimaondTexturePath is the old misspelt name, still accepted
+  const diamondTexturePath =
+    opts.diamondTexturePath ??
+    opts.dimaondTexturePath ??
+    skin.textures.diamond ??
+    diamondTextureUrl;
+  const bombTexturePath =
+    opts.bombTexturePath ?? skin.textures.bomb ?? bombTextureUrl;
   const iconSizePercentage = opts.iconSizePercentage ?? 0.7;
   const iconRevealedSizeFactor = opts.iconRevealedSizeFactor ?? 0.85;
   const cardsSpawnDuration = opts.cardsSpawnDuration ?? 300;
   const revealAllIntervalDelay = opts.revealAllIntervalDelay ?? 40;
 
   // Animation Options
+  /* Reveal pacing: "normal" | "fast" | "instant" (setSpeed at runtime) */
+  let speed = resolveSpeed(opts.speed);
+  const paced = (ms) => ms * SPEEDS[speed];
+
+  /* Motion: "full" | "reduced" | "none"; unset follows prefers-reduced-motion */
+  let motion = resolveMotion(opts.motion);
+  let followMotionPreference = !MOTION_MODES.includes(opts.motion);
+
+  /* Performance profile: "auto" | "high" | "low" (see src/performance.js) */
+  const performanceMode = PERFORMANCE_PROFILES.includes(opts.performance)
+    ? opts.performance
+    : "auto";
+  const performanceStorageKey =
+    opts.performanceStorageKey === undefined
+      ? "mines.performance"
+      : opts.performanceStorageKey;
+  // How long a saved drop to "low" holds before the board probes "high" again
+  const performanceProfileMaxAge =
+    opts.performanceProfileMaxAge ?? DEFAULT_PROFILE_MAX_AGE;
+  let performanceProfile =
+    performanceMode === "auto"
+      ? loadPerformanceProfile(performanceStorageKey, {
+          maxAge: performanceProfileMaxAge,
+        }) ?? "high"
+      : performanceMode;
+  const minFps = opts.minFps ?? 40;
+
   /* Card Hover */
   const hoverEnabled = opts.hoverEnabled ?? true;
   const hoverEnterDuration = opts.hoverEnterDuration ?? 120;
@@ -114,6 +156,10 @@ export async function createMinesGame(mount, opts = {}) {
   const flipDuration = opts.flipDuration ?? 300;
   const flipEaseFunction = opts.flipEaseFunction ?? "easeInOutSine";
 
+  /* Multi-pick: up to selectionLimit tiles wait for resolveSelection() */
+  const selectionLimit = opts.selectionLimit ?? 1;
+  const selectionRevealInterval = opts.selectionRevealInterval ?? 120;
+
   /* Bomb Explosion shake */
   const explosionShakeEnabled = opts.explosionShakeEnabled ?? true;
   const explosionShakeDuration = opts.explosionShakeDuration ?? 1000;
@@ -124,27 +170,50 @@ export async function createMinesGame(mount, opts = {}) {
   const explosionShakeSecondaryFrequency =
     opts.explosionShakeSecondaryFrequency ?? 13;
 
+  /* Reveal effects; particlesEnabled: false turns off the particle ones
+     (sparkles, coin shower) on low-end devices */
+  const particlesEnabled = opts.particlesEnabled ?? true;
+  const maxParticles = opts.maxParticles ?? 200;
+  const diamondSparkleEnabled = opts.diamondSparkleEnabled ?? true;
+  const diamondSparkleCount = opts.diamondSparkleCount ?? 14;
+  const coinShowerEnabled = opts.coinShowerEnabled ?? true;
+  const coinShowerCount = opts.coinShowerCount ?? 60;
+  const coinShowerDuration = opts.coinShowerDuration ?? 1200;
+  const lossShakeEnabled = opts.lossShakeEnabled ?? true;
+  const lossShakeDuration = opts.lossShakeDuration ?? 450;
+  const lossShakeAmplitude = opts.lossShakeAmplitude ?? 7;
+  const lossFlashEnabled = opts.lossFlashEnabled ?? true;
+  const lossFlashDuration = opts.lossFlashDuration ?? 400;
+  const lossFlashOpacity = opts.lossFlashOpacity ?? 0.35;
+
   /* Bomb Explosion spritesheet */
   const explosionSheetEnabled = opts.explosionSheetEnabled ?? true;
-  const explosionSheetPath = opts.explosionSheetPath ?? explosionSheetUrl;
-  const explosionSheetCols = opts.explosionSheetCols ?? 7;
-  const explosionSheetRows = opts.explosionSheetRows ?? 3;
-  const explosionSheetFps = opts.explosionSheetFps ?? 24;
+  const explosionSheetPath =
+    opts.explosionSheetPath ?? skin.textures.explosion ?? explosionSheetUrl;
+  const explosionSheetCols = opts.explosionSheetCols ?? skin.explosion.cols ?? 7;
+  const explosionSheetRows = opts.explosionSheetRows ?? skin.explosion.rows ?? 3;
+  const explosionSheetFps = opts.explosionSheetFps ?? skin.explosion.fps ?? 24;
   const explosionSheetScaleFit = opts.explosionSheetScaleFit ?? 0.8;
   const explosionSheetOpacity = opts.explosionSheetOpacity ?? 0.75;
 
   /* Sound effects */
-  const tileTappedSoundPath = opts.tileTappedSoundPath ?? tileTappedSoundUrl;
+  const tileTappedSoundPath =
+    opts.tileTappedSoundPath ?? skin.sounds.tileTapped ?? tileTappedSoundUrl;
   const tileSelectedSoundPath =
-    opts.tileSelectedSoundPath ?? tileSelectedSoundUrl;
-  const tileFlipSoundPath = opts.tileFlipSoundPath ?? tileFlipSoundUrl;
-  const tileHoverSoundPath = opts.tileHoverSoundPath ?? tileHoverSoundUrl;
+    opts.tileSelectedSoundPath ?? skin.sounds.tileSelected ?? tileSelectedSoundUrl;
+  const tileFlipSoundPath =
+    opts.tileFlipSoundPath ?? skin.sounds.tileFlip ?? tileFlipSoundUrl;
+  const tileHoverSoundPath =
+    opts.tileHoverSoundPath ?? skin.sounds.tileHover ?? tileHoverSoundUrl;
   const diamondRevealedSoundPath =
-    opts.diamondRevealedSoundPath ?? diamondRevealedSoundUrl;
+    opts.diamondRevealedSoundPath ??
+    skin.sounds.diamondRevealed ??
+    diamondRevealedSoundUrl;
   const bombRevealedSoundPath =
-    opts.bombRevealedSoundPath ?? bombRevealedSoundUrl;
-  const winSoundPath = opts.winSoundPath ?? winSoundUrl;
-  const gameStartSoundPath = opts.gameStartSoundPath ?? gameStartSoundUrl;
+    opts.bombRevealedSoundPath ?? skin.sounds.bombRevealed ?? bombRevealedSoundUrl;
+  const winSoundPath = opts.winSoundPath ?? skin.sounds.win ?? winSoundUrl;
+  const gameStartSoundPath =
+    opts.gameStartSoundPath ?? skin.sounds.gameStart ?? gameStartSoundUrl;
 
   const soundEffectPaths = {
     tileTapped: tileTappedSoundPath,
@@ -157,28 +226,47 @@ export async function createMinesGame(mount, opts = {}) {
     gameStart: gameStartSoundPath,
   };
 
-  const enabledSoundKeys = new Set(
-    Object.entries(soundEffectPaths)
-      .filter(([, value]) => Boolean(value))
-      .map(([key]) => key)
-  );
-
-  const SOUND_ALIASES = {
-    tileTapped: "mines.tileTapped",
-    tileSelected: "mines.tileSelected",
-    tileFlip: "mines.tileFlip",
-    tileHover: "mines.tileHover",
-    diamondRevealed: "mines.diamondRevealed",
-    bombRevealed: "mines.bombRevealed",
-    win: "mines.win",
-    gameStart: "mines.gameStart",
-  };
+  const sounds = createSoundManager({
+    sound,
+    paths: soundEffectPaths,
+    musicPath: opts.musicPath ?? skin.sounds.music ?? null,
+    volume: opts.volume ?? 1,
+    muted: opts.muted ?? false,
+    // e.g. { tileHover: 0.5, music: 0.3 }
+    effectVolumes: { music: 0.4, ...opts.effectVolumes },
+    // null keeps the settings in memory only
+    storageKey:
+      opts.soundStorageKey === undefined ? "mines.sound" : opts.soundStorageKey,
+    hoverThrottle: opts.hoverSoundThrottle ?? 80,
+  });
+  const soundToggleEnabled = opts.soundToggleEnabled ?? true;
+
+  /* Multiplier HUD in the strip above the board */
+  const hudEnabled = opts.hudEnabled ?? false;
+  const hudScrollDuration = opts.hudScrollDuration ?? 320;
 
   /* Win pop-up */
   const winPopupShowDuration = opts.winPopupShowDuration ?? 260;
   const winPopupWidth = opts.winPopupWidth ?? 240;
   const winPopupHeight = opts.winPopupHeight ?? 170;
 
+  /* Autobet */
+  const autobetRoundDelay = opts.autobetRoundDelay ?? 1200;
+
+  /* Switch to the DOM renderer when Pixi can't start (no WebGL) */
+  const domFallback = opts.domFallback ?? true;
+
+  /* Time and randomness (a manual clock and seeded RNG make animations reproducible) */
+  const clock = { ...realClock, ...opts.clock };
+  const random = opts.random ?? Math.random;
+
+  /* Locale and currency: code ("EUR") or { code, symbol, icon, decimals, crypto } */
+  const format = createFormatter({
+    locale: opts.locale,
+    currency: opts.currency,
+    messages: opts.messages,
+  });
+
   // Resolve mount element
   const root =
     typeof mount === "string" ? document.querySelector(mount) : mount;
@@ -212,56 +300,51 @@ export async function createMinesGame(mount, opts = {}) {
   }
 
 
+  // Assets: textures as one bundle with the sounds alongside, with progress
+  const loadingBar =
+    opts.loadingBar ?? true ? createLoadingBar(root, theme) : null;
+  dlog('load: assets start');
+  const assets = await loadSkinAssets({
+    textures: {
+      diamond: diamondTexturePath,
+      bomb: bombTexturePath,
+      explosion:
+        explosionSheetEnabled && performanceProfile !== "low"
+          ? explosionSheetPath
+          : null,
+      currencyIcon: format.currency.icon,
+    },
+    soundCount: sounds.keys().length,
+    loadSounds: (onLoaded) => sounds.load(onLoaded),
+    onProgress: (progress) => {
+      loadingBar?.set(progress);
+      opts.onProgress?.(progress);
+    },
+  });
+  loadingBar?.destroy();
+  for (const { asset, url, error } of assets.errors) {
+    console.error(`Could not load ${asset} from ${url}`, error);
+    debugOverlay(`Asset "${asset}" failed to load`);
+  }
+  dlog('load: assets done', { failed: assets.errors.map((e) => e.asset) });
+
+  const diamondTexture = assets.textures.diamond ?? null;
+  const bombTexture = assets.textures.bomb ?? null;
   let explosionFrames = null;
   let explosionFrameW = 0;
   let explosionFrameH = 0;
-  try {
-    dlog('load: explosion sheet start');
-    await loadExplosionFrames();
-    dlog('load: explosion sheet ok', { frameW: explosionFrameW, frameH: explosionFrameH });
-  } catch (e) {
-    console.error('loadExplosionFrames failed', e);
-    debugOverlay('Explosion sheet load failed');
-  }
-
-  let diamondTexture = null;
-  try {
-    dlog('load: diamond start');
-    await loadDiamondTexture();
-    dlog('load: diamond ok');
-  } catch (e) {
-    console.error('loadDiamondTexture failed', e);
-    debugOverlay('Diamond texture load failed');
-  }
-
-  let bombTexture = null;
-  try {
-    dlog('load: bomb start');
-    await loadBombTexture();
-    dlog('load: bomb ok');
-  } catch (e) {
-    console.error('loadBombTexture failed', e);
-    debugOverlay('Bomb texture load failed');
-  }
-
-  try {
-    dlog('load: sounds start');
-    await loadSoundEffects();
-    dlog('load: sounds ok');
-  } catch (e) {
-    console.warn('loadSoundEffects failed (non-fatal)', e);
-    debugOverlay('Sounds failed (ok)');
-  }
+  if (assets.textures.explosion) buildExplosionFrames(assets.textures.explosion);
+  sounds.startMusic();
 
   // PIXI app
   const app = new Application();
   try {
     await app.init({
-      background: backgroundColor,
+      background: theme.appBg,
       width: initialSize,
       height: initialSize,
-      antialias: true,
-      resolution: Math.min(window.devicePixelRatio || 1, 2),
+      antialias: performanceProfile !== "low",
+      resolution: performanceProfile === "low" ? 1 : Math.min(window.devicePixelRatio || 1, 2),
     });
 
     // Clear the loading message
@@ -274,113 +357,220 @@ export async function createMinesGame(mount, opts = {}) {
     debugOverlay('PIXI OK');
   } catch (e) {
     console.error('PIXI init failed', e);
-    debugOverlay('PIXI init failed');
-    throw e;
+    if (!domFallback) {
+      debugOverlay('PIXI init failed');
+      throw e;
+    }
+    // Same game and API on the DOM renderer (no `app`)
+    sounds.destroy();
+    try {
+      app.destroy(true);
+    } catch {}
+    return createFallbackMinesGame(root, opts);
   }
 
+  // Keyboard / screen-reader mirror of the board
+  const boardMirror = createBoardMirror({
+    root,
+    t: format.t,
+    dir: format.dir,
+    onFocusTile: (pos) => {
+      focusedTileKey = pos ? `${pos.row},${pos.col}` : null;
+      drawFocusRing();
+    },
+    onActivate: ({ row, col }) => {
+      const tile = tiles.find((t) => t.row === row && t.col === col);
+      if (tile) activateTile(tile);
+    },
+  });
+  let focusedTileKey = null;
+
+  // Every board tween goes through here so motion "none" finishes them at once
+  const animate = (options) =>
+    tween(app, clock, motion === "none" ? { ...options, duration: 0 } : options);
+  const fullMotion = () => motion === "full";
+
+  const unwatchMotion = watchMotionPreference((preferred) => {
+    if (followMotionPreference) applyMotion(preferred);
+  });
+  const fpsMonitor =
+    performanceMode === "auto" && performanceProfile === "high"
+      ? createFpsMonitor(app, { clock, minFps, onLow: lowerPerformanceProfile })
+      : null;
+
   // Game state
   const board = new Container();
   const ui = new Container();
-  app.stage.addChild(board, ui);
+  const particles = createParticleEmitter(app, { clock, random, maxParticles });
+  const lossFlash = new Graphics();
+  lossFlash.eventMode = "none";
+  lossFlash.visible = false;
+  app.stage.addChild(board, particles.container, lossFlash, ui);
+
+  const focusRing = new Graphics();
+  focusRing.eventMode = "none";
+  focusRing.visible = false;
 
   const winPopup = createWinPopup();
   ui.addChild(winPopup.container);
 
+  const soundToggle = createSoundToggle();
+  soundToggle.container.visible = soundToggleEnabled;
+  ui.addChild(soundToggle.container);
+
+  const hud = createHud();
+  ui.addChild(hud.container);
+
   let tiles = [];
-  let bombPositions = new Set();
-  let gameOver = false;
   let shouldPlayStartSound = true;
-  let revealedSafe = 0;
-  let totalSafe = GRID * GRID - mines;
-  let waitingForChoice = false;
-  let selectedTile = null;
-
-  // API callbacks
-  const onWin = opts.onWin ?? (() => {});
-  const onGameOver = opts.onGameOver ?? (() => {});
-  const onChange = opts.onChange ?? (() => {});
 
-  // Game setup and state. TODO: remove later
+  // Rules, stakes, history, autobet and events; this file only renders them
+  const session = createMinesSession(
+    { ...opts, clock, random, selectionLimit, autobetRoundDelay, waitForView: true },
+    {
+      tileAt,
+      onReset: () => {
+        hideWinPopup();
+        shouldPlayStartSound = true;
+        buildBoard();
+        centerBoard();
+      },
+      onPick: onTilePicked,
+      onOutcome: ({ row, col, face, batchIndex }) => {
+        const tile = tileAt(row, col);
+        stopHover(tile);
+        stopWiggle(tile);
+        playSoundEffect("tileSelected");
+        // Tiles resolved together flip one after another
+        revealTileWithFlip(tile, face, true, paced(batchIndex * selectionRevealInterval));
+      },
+      onReveal: ({ row, col, face, roundOver }) => {
+        let message = describeTile(row, col, face, format.t);
+        if (face === "bomb") message = format.t("announce.bomb", { tile: message });
+        else if (roundOver) message = format.t("announce.won", { tile: message });
+        boardMirror.announce(message);
+      },
+      onRoundEnd: ({ status, multiplier }) => {
+        if (status === STATES.LOST) {
+          shakeBoard();
+          flashLoss();
+        } else if (status === STATES.WON) {
+          spawnCoinShower();
+        } else {
+          boardMirror.announce(
+            format.t("announce.cashOut", { multiplier: format.multiplier(multiplier) })
+          );
+        }
+      },
+      showPayout: (multiplier, payout, currency) => {
+        playSoundEffect("win");
+        spawnWinPopup(multiplier, payout, currency);
+      },
+      onLayout: revealAllTiles,
+      onAutoSelectionChange: (position) => {
+        const changed = position ? [tileAt(position.row, position.col)] : tiles;
+        changed.forEach((t) => {
+          if (!engine.getFace(t.row, t.col)) paintTile(t, ...tileRestColors(t));
+        });
+      },
+      onError: debugOverlay,
+    }
+  );
+  const { engine, getState } = session;
+  session.api.on("change", () => hud.update());
 
   // Public API for host integration
-  function reset() {
-    gameOver = false;
-    clearSelection();
-    hideWinPopup();
-    bombPositions.clear();
-    shouldPlayStartSound = true;
-    buildBoard();
-    centerBoard();
-    onChange(getState());
+
+  function setTheme(next) {
+    theme = resolveTheme(next);
+    app.renderer.background.color = theme.appBg;
+    tiles.forEach((t) => {
+      paintTile(t, t._faceKey, t._insetKey, t._strokeWidth);
+    });
+    winPopup.paint();
+    soundToggle.paint();
+    hud.paint();
+    drawFocusRing();
+  }
+
+  // Motion, speed and performance
+
+  // Applies to the next reveals; running animations keep their pace
+  function setSpeed(next) {
+    speed = resolveSpeed(next);
   }
 
-  function setMines(n) {
-    mines = Math.max(1, Math.min(n | 0, GRID * GRID - 1));
-    reset();
+  function getSpeed() {
+    return speed;
   }
 
-  function getState() {
-    return {
-      grid: GRID,
-      mines,
-      revealedSafe,
-      totalSafe,
-      gameOver,
-      waitingForChoice,
-      selectedTile: selectedTile
-        ? { row: selectedTile.row, col: selectedTile.col }
-        : null,
-    };
+  // null goes back to following prefers-reduced-motion
+  function setMotion(mode) {
+    followMotionPreference = !MOTION_MODES.includes(mode);
+    applyMotion(resolveMotion(mode));
   }
 
-  function destroy() {
-    try {
-      ro.disconnect();
-    } catch {}
-    app.destroy(true);
-    if (app.canvas?.parentNode === root) root.removeChild(app.canvas);
+  function getMotion() {
+    return motion;
   }
 
-  function setSelectedCardIsDiamond() {
-    if (selectedTile?._animating) {
-      stopHover(selectedTile);
-      stopWiggle(selectedTile);
-    }
+  function applyMotion(next) {
+    if (next === motion) return;
+    motion = next;
+    if (fullMotion()) return;
+    // Drop running effects and settle hovered tiles into their rest pose
+    particles.clear();
+    board.pivot.set(0, 0);
+    tiles.forEach((t) => {
+      if (!t._animating && t._hovered) hoverTile(t, true);
+    });
+  }
 
-    if (
-      !waitingForChoice ||
-      !selectedTile ||
-      selectedTile.revealed ||
-      selectedTile._animating
-    )
-      return;
-    waitingForChoice = false;
-    const tile = selectedTile;
-    selectedTile = null;
-    playSoundEffect("tileSelected");
-    revealTileWithFlip(tile, "diamond");
+  function getPerformanceProfile() {
+    return performanceProfile;
   }
 
-  function SetSelectedCardIsBomb() {
-    if (selectedTile?._animating) {
-      stopHover(selectedTile);
-      stopWiggle(selectedTile);
-    }
+  // Antialiasing stays until the next start; the saved profile turns it off
+  function lowerPerformanceProfile() {
+    if (performanceProfile === "low") return;
+    performanceProfile = "low";
+    savePerformanceProfile(performanceStorageKey, "low");
+    particles.clear();
+    app.renderer.resize(app.renderer.width, app.renderer.height, 1);
+    dlog("performance: low FPS, switched to the low profile", { fps: app.ticker.FPS });
+  }
 
-    if (
-      !waitingForChoice ||
-      !selectedTile ||
-      selectedTile.revealed ||
-      selectedTile._animating
-    )
-      return;
+  // Sound
+
+  function setVolume(v) {
+    sounds.setVolume(v);
+  }
 
-    gameOver = true;
-    waitingForChoice = false;
-    const tile = selectedTile;
-    selectedTile = null;
-    playSoundEffect("tileSelected");
-    revealTileWithFlip(tile, "bomb");
+  function setMuted(on) {
+    sounds.setMuted(on);
+    soundToggle.paint();
+  }
+
+  function setEffectVolume(key, v) {
+    sounds.setEffectVolume(key, v);
+  }
+
+  function getSoundSettings() {
+    return sounds.getSettings();
+  }
+
+  function destroy() {
+    session.destroy();
+    try {
+      ro.disconnect();
+    } catch {}
+    unwatchMotion();
+    fpsMonitor?.stop();
+    particles.destroy();
+    sounds.destroy();
+    boardMirror.destroy();
+    app.destroy(true);
+    if (app.canvas?.parentNode === root) root.removeChild(app.canvas);
   }
 
   // Game functions
@@ -395,26 +585,13 @@ export async function createMinesGame(mount, opts = {}) {
     container.zIndex = 1000;
 
     const border = new Graphics();
-    border
-      .roundRect(
-        -popupWidth / 2 - 10,
-        -popupHeight / 2 - 10,
-        popupWidth + 20,
-        popupHeight + 20,
-        32
-      )
-      .fill(0x13d672);
-
     const inner = new Graphics();
-    inner
-      .roundRect(-popupWidth / 2, -popupHeight / 2, popupWidth, popupHeight, 28)
-      .fill(0x0f2b1a);
 
     const multiplierText = new Text({
       text: "1.00×",
       style: {
-        fill: 0x69ffad,
-        fontFamily,
+        fill: theme.popupMultiplier,
+        fontFamily: theme.fontFamily,
         fontSize: 52,
         fontWeight: "700",
         align: "center",
@@ -428,8 +605,8 @@ export async function createMinesGame(mount, opts = {}) {
     const amountText = new Text({
       text: "0.00000000",
       style: {
-        fill: 0xffffff,
-        fontFamily,
+        fill: theme.popupAmount,
+        fontFamily: theme.fontFamily,
         fontSize: 26,
         fontWeight: "600",
         align: "center",
@@ -441,29 +618,100 @@ export async function createMinesGame(mount, opts = {}) {
     const coinContainer = new Container();
     const coinRadius = 16;
     const coinBg = new Graphics();
-    coinBg.circle(0, 0, coinRadius).fill(0xf6a821);
     const coinText = new Text({
-      text: "₿",
+      text: format.currency.symbol,
       style: {
-        fill: 0xffffff,
-        fontFamily,
+        fill: theme.popupCoinText,
+        fontFamily: theme.fontFamily,
         fontSize: 18,
         fontWeight: "700",
         align: "center",
       },
     });
     coinText.anchor.set(0.5);
-    coinContainer.addChild(coinBg, coinText);
+    const coinIcon = new Sprite(Texture.EMPTY);
+    coinIcon.anchor.set(0.5);
+    coinIcon.visible = false;
+    coinContainer.addChild(coinBg, coinText, coinIcon);
     amountRow.addChild(coinContainer);
 
+    // Long amounts (or translations) are scaled down to fit the popup
+    const maxTextWidth = popupWidth - 24;
+    const fitWidth = (item, width) => {
+      item.scale.set(Math.min(1, maxTextWidth / Math.max(1, width)));
+    };
+
+    // The coin badge sits after the amount, or before it in RTL locales
     const layoutAmountRow = () => {
       const spacing = 12;
-      coinContainer.position.set(amountText.width + spacing + coinRadius, 0);
-      amountRow.pivot.set(amountRow.width / 2, amountRow.height / 2);
+      const rowWidth = amountText.width + spacing + coinRadius * 2;
+      amountRow.scale.set(1);
+      if (format.rtl) {
+        coinContainer.position.set(coinRadius, 0);
+        amountText.position.set(coinRadius * 2 + spacing, 0);
+      } else {
+        amountText.position.set(0, 0);
+        coinContainer.position.set(amountText.width + spacing + coinRadius, 0);
+      }
+      amountRow.pivot.set(rowWidth / 2, amountRow.height / 2);
       amountRow.position.set(0, 34);
+      fitWidth(amountRow, rowWidth);
+
+      multiplierText.scale.set(1);
+      fitWidth(multiplierText, multiplierText.width);
     };
 
-    layoutAmountRow();
+    let currency = null;
+    const setCurrency = (next) => {
+      currency = next;
+      const texture =
+        next.icon && Assets.cache.has(next.icon) ? Assets.get(next.icon) : null;
+      coinText.text = next.symbol ?? next.code;
+      coinText.visible = !texture;
+      coinBg.visible = !texture;
+      coinIcon.visible = Boolean(texture);
+      if (texture) {
+        coinIcon.texture = texture;
+        coinIcon.scale.set(1);
+        coinIcon.scale.set(
+          (coinRadius * 2) / Math.max(coinIcon.width, coinIcon.height, 1)
+        );
+      } else if (next.icon) {
+        Assets.load(next.icon)
+          .then(() => currency === next && setCurrency(next))
+          .catch(() => {});
+      }
+      layoutAmountRow();
+    };
+
+    const paint = () => {
+      border
+        .clear()
+        .roundRect(
+          -popupWidth / 2 - 10,
+          -popupHeight / 2 - 10,
+          popupWidth + 20,
+          popupHeight + 20,
+          32
+        )
+        .fill(theme.popupBorder);
+      inner
+        .clear()
+        .roundRect(-popupWidth / 2, -popupHeight / 2, popupWidth, popupHeight, 28)
+        .fill(theme.popupBg);
+      coinBg.clear().circle(0, 0, coinRadius).fill(theme.popupCoin);
+
+      multiplierText.style.fill = theme.popupMultiplier;
+      amountText.style.fill = theme.popupAmount;
+      coinText.style.fill = theme.popupCoinText;
+      for (const text of [multiplierText, amountText, coinText]) {
+        text.style.fontFamily = theme.fontFamily;
+      }
+      layoutAmountRow();
+    };
+
+    paint();
+    setCurrency(format.currency);
 
     container.addChild(border, inner, multiplierText, amountRow);
 
@@ -472,9 +720,230 @@ export async function createMinesGame(mount, opts = {}) {
       multiplierText,
       amountText,
       layoutAmountRow,
+      setCurrency,
+      paint,
     };
   }
 
+  // Small speaker button in the top-right corner
+  function createSoundToggle() {
+    const size = 24;
+    const container = new Container();
+    container.eventMode = "static";
+    container.cursor = "pointer";
+    container.hitArea = new Rectangle(0, 0, size, size);
+
+    const icon = new Graphics();
+    container.addChild(icon);
+
+    const paint = () => {
+      const color = theme.tileBase;
+      icon
+        .clear()
+        .rect(3, 9, 5, 6)
+        .fill(color)
+        .poly([8, 9, 13, 5, 13, 19, 8, 15])
+        .fill(color);
+
+      if (sounds.isMuted()) {
+        icon
+          .moveTo(16, 9)
+          .lineTo(22, 15)
+          .moveTo(22, 9)
+          .lineTo(16, 15)
+          .stroke({ color, width: 2, cap: "round" });
+      } else {
+        for (const r of [4, 8]) {
+          icon
+            .moveTo(13 + r * Math.cos(-0.8), 12 + r * Math.sin(-0.8))
+            .arc(13, 12, r, -0.8, 0.8)
+            .stroke({ color, width: 2, cap: "round" });
+        }
+      }
+    };
+
+    container.on("pointertap", () => setMuted(!sounds.isMuted()));
+    paint();
+
+    return { container, paint };
+  }
+
+  // Current and next multiplier, a ladder of the multiplier after each
+  // further diamond (scrolled to the current step) and the win/loss streak
+  function createHud() {
+    const stripHeight = 32;
+    const container = new Container();
+    container.eventMode = "none";
+    container.visible = hudEnabled;
+
+    const textStyle = (fontSize, fontWeight) => ({
+      fill: theme.popupAmount,
+      fontFamily: theme.fontFamily,
+      fontSize,
+      fontWeight,
+    });
+    const currentText = new Text({ text: "", style: textStyle(13, "700") });
+    const nextText = new Text({ text: "", style: textStyle(10, "500") });
+    const streakText = new Text({ text: "", style: textStyle(11, "700") });
+    streakText.anchor.set(1, 0.5);
+
+    const ladder = new Container();
+    const ladderMask = new Graphics();
+    ladder.mask = ladderMask;
+    container.addChild(currentText, nextText, ladder, ladderMask, streakText);
+
+    let steps = []; // { container, bg, label, x, width } for 1..totalSafe diamonds
+    let stepsKey = null; // "grid,mines" the steps were built for
+    let revealed = 0;
+    let viewport = { x: 0, width: 0 };
+    let scrollId = 0;
+
+    function buildSteps(totalSafe) {
+      ladder.removeChildren().forEach((child) => child.destroy({ children: true }));
+      steps = [];
+      let x = 0;
+      for (let i = 1; i <= totalSafe; i++) {
+        const step = new Container();
+        const bg = new Graphics();
+        const label = new Text({
+          text: format.multiplier(engine.getMultiplier(i)),
+          style: textStyle(10, "600"),
+        });
+        label.anchor.set(0.5);
+        const width = Math.ceil(label.width) + 12;
+        step.addChild(bg, label);
+        step.position.set(x + width / 2, stripHeight / 2);
+        ladder.addChild(step);
+        steps.push({ container: step, bg, label, x, width });
+        x += width + 4;
+      }
+    }
+
+    function paintSteps() {
+      const height = 20;
+      steps.forEach((step, i) => {
+        const reached = i < revealed;
+        const isNext = i === revealed;
+        step.bg
+          .clear()
+          .roundRect(-step.width / 2, -height / 2, step.width, height, 6)
+          .fill({
+            color: reached ? theme.safeA : isNext ? theme.popupBg : theme.tileBase,
+            alpha: reached || isNext ? 1 : 0.18,
+          });
+        if (isNext) step.bg.stroke({ color: theme.popupBorder, width: 1.5 });
+        step.label.style.fill = reached || isNext ? theme.popupMultiplier : theme.popupAmount;
+        step.label.style.fontFamily = theme.fontFamily;
+        step.label.alpha = reached || isNext ? 1 : 0.7;
+      });
+    }
+
+    // Keeps the latest reached step first in view, without running past the end
+    function scrollTarget() {
+      const last = steps[steps.length - 1];
+      if (!last) return viewport.x;
+      const totalWidth = last.x + last.width;
+      const anchor = steps[Math.max(0, revealed - 1)]?.x ?? 0;
+      const offset = Math.min(anchor, Math.max(0, totalWidth - viewport.width));
+      return viewport.x - offset;
+    }
+
+    function scrollLadder(animated) {
+      const id = ++scrollId;
+      const from = ladder.x;
+      const to = scrollTarget();
+      const pulse = animated ? steps[revealed - 1]?.container : null;
+      if (!animated || from === to) {
+        ladder.x = to;
+      } else {
+        animate({
+          duration: paced(hudScrollDuration),
+          ease: (t) => Ease.easeInOutQuad(t),
+          update: (p) => {
+            if (id === scrollId && !ladder.destroyed) ladder.x = from + (to - from) * p;
+          },
+        });
+      }
+      if (pulse) {
+        animate({
+          duration: paced(hudScrollDuration),
+          ease: (t) => Ease.easeOutBack(t),
+          update: (p) => {
+            if (!pulse.destroyed) pulse.scale.set(1.25 - 0.25 * p);
+          },
+        });
+      }
+    }
+
+    function layout() {
+      const width = app.renderer.width;
+      const pad = 8;
+      const infoWidth = Math.round(Math.min(96, Math.max(56, width * 0.22)));
+      const right = width - (soundToggleEnabled ? 36 : pad);
+      const streakWidth = streakText.text ? 30 : 0;
+
+      currentText.position.set(pad, 2);
+      nextText.position.set(pad, 18);
+      for (const text of [currentText, nextText]) {
+        text.scale.set(1);
+        text.scale.set(Math.min(1, infoWidth / Math.max(1, text.width)));
+      }
+      streakText.position.set(right, stripHeight / 2);
+
+      viewport = {
+        x: pad + infoWidth + 6,
+        width: Math.max(0, right - streakWidth - pad - infoWidth - 12),
+      };
+      ladderMask
+        .clear()
+        .rect(viewport.x, 0, viewport.width, stripHeight)
+        .fill(0xffffff);
+      ladder.x = scrollTarget();
+    }
+
+    function update() {
+      if (!hudEnabled) return;
+      const state = engine.getState();
+      const key = `${state.grid},${state.mines}`;
+      const rebuilt = key !== stepsKey;
+      if (rebuilt) {
+        stepsKey = key;
+        buildSteps(state.totalSafe);
+      }
+      const advanced = !rebuilt && state.revealedSafe > revealed;
+      revealed = state.revealedSafe;
+
+      currentText.text = format.multiplier(state.currentMultiplier);
+      nextText.text =
+        state.nextMultiplier && !state.gameOver
+          ? format.t("hud.next", { multiplier: format.multiplier(state.nextMultiplier) })
+          : "";
+
+      const { streak } = session.api.getStats();
+      const streakKey = streak > 0 ? "hud.winStreak" : "hud.lossStreak";
+      const nextStreak =
+        Math.abs(streak) >= 2 ? format.t(streakKey, { count: Math.abs(streak) }) : "";
+      const relayout = rebuilt || nextStreak !== streakText.text;
+      streakText.text = nextStreak;
+      streakText.style.fill = streak > 0 ? theme.popupMultiplier : theme.bombA;
+
+      paintSteps();
+      if (relayout) layout();
+      scrollLadder(advanced && fullMotion());
+    }
+
+    function paint() {
+      for (const text of [currentText, nextText]) {
+        text.style.fill = theme.popupAmount;
+        text.style.fontFamily = theme.fontFamily;
+      }
+      streakText.style.fontFamily = theme.fontFamily;
+      paintSteps();
+    }
+
+    return { container, update, layout, paint };
+  }
+
   function positionWinPopup() {
     winPopup.container.position.set(
       app.renderer.width / 2,
@@ -487,66 +956,33 @@ export async function createMinesGame(mount, opts = {}) {
     winPopup.container.scale.set(0);
   }
 
-  function formatMultiplier(multiplierValue) {
-    if (
-      typeof multiplierValue === "number" &&
-      Number.isFinite(multiplierValue)
-    ) {
-      return `${multiplierValue.toFixed(2)}×`;
-    }
-
-    const raw = `${multiplierValue ?? ""}`;
-    if (!raw) return "";
-    return raw.endsWith("×") ? raw : `${raw}×`;
-  }
-
-  function formatAmount(amountValue) {
-    if (typeof amountValue === "number" && Number.isFinite(amountValue)) {
-      return amountValue.toLocaleString("en-US", {
-        minimumFractionDigits: 2,
-        maximumFractionDigits: 8,
-      });
-    }
-
-    return `${amountValue ?? ""}`;
-  }
-
-  function spawnWinPopup(multiplierValue, amountValue) {
-    winPopup.multiplierText.text = formatMultiplier(multiplierValue);
-    winPopup.amountText.text = formatAmount(amountValue);
-    winPopup.layoutAmountRow();
+  // currency: code or descriptor, defaults to the game's currency
+  function spawnWinPopup(multiplierValue, amountValue, currencyValue) {
+    const currency =
+      !currencyValue || currencyValue === format.currency.code
+        ? format.currency
+        : resolveCurrency(currencyValue);
+    winPopup.multiplierText.text = format.multiplier(multiplierValue);
+    winPopup.amountText.text = format.amount(amountValue, currency);
+    winPopup.setCurrency(currency);
     positionWinPopup();
 
     winPopup.container.visible = true;
     winPopup.container.alpha = 1;
-    winPopup.container.scale.set(0);
+    winPopup.container.scale.set(fullMotion() ? 0 : 1);
 
-    tween(app, {
-      duration: winPopupShowDuration,
+    // Reduced motion fades the popup in instead of growing it
+    animate({
+      duration: paced(winPopupShowDuration),
       ease: (t) => Ease.easeOutQuad(t),
       update: (p) => {
-        winPopup.container.scale.set(p);
+        if (fullMotion()) winPopup.container.scale.set(p);
+        else winPopup.container.alpha = p;
       },
     });
   }
 
-  async function loadDiamondTexture() {
-    if (diamondTexture) return;
-
-    diamondTexture = await Assets.load(diamondTexturePath);
-  }
-
-  async function loadBombTexture() {
-    if (bombTexture) return;
-
-    bombTexture = await Assets.load(bombTexturePath);
-  }
-
-  async function loadExplosionFrames() {
-    if (explosionFrames) return;
-
-    const baseTex = await Assets.load(explosionSheetPath);
-
+  function buildExplosionFrames(baseTex) {
     const sheetW = baseTex.width;
     const sheetH = baseTex.height;
 
@@ -570,98 +1006,78 @@ export async function createMinesGame(mount, opts = {}) {
     }
   }
 
-  function loadSoundEffect(key, path) {
-    if (!enabledSoundKeys.has(key) || !path) {
-      return Promise.resolve();
-    }
-
-    const alias = SOUND_ALIASES[key];
-    if (!alias) {
-      return Promise.resolve();
-    }
-
-    if (sound.exists?.(alias)) {
-      return Promise.resolve();
-    }
-
-    return new Promise((resolve) => {
-      sound.add(alias, {
-        url: path,
-        preload: true,
-        loaded: resolve,
-        error: resolve,
-      });
-    });
-  }
-
-  async function loadSoundEffects() {
-    const loaders = Object.entries(soundEffectPaths).map(([key, path]) =>
-      loadSoundEffect(key, path)
-    );
-
-    await Promise.all(loaders);
-  }
-
   function playSoundEffect(key) {
-    if (!enabledSoundKeys.has(key)) return;
-
-    const alias = SOUND_ALIASES[key];
-    if (!alias) return;
-
-    try {
-      sound.play(alias);
-    } catch (err) {
-      // Ignore playback errors so they don't interrupt gameplay
-    }
+    sounds.play(key);
   }
 
   function spawnExplosionSheetOnTile(tile) {
     if (!explosionSheetEnabled || !explosionFrames || !explosionFrames.length)
       return;
+    if (motion === "none" || performanceProfile === "low") return;
+    if (speed === "instant") return;
 
     const anim = new AnimatedSprite(explosionFrames);
     anim.loop = false;
-    anim.animationSpeed = explosionSheetFps / 60;
+    anim.animationSpeed = explosionSheetFps / 60 / SPEEDS[speed];
     anim.anchor.set(0.5);
     anim.alpha = explosionSheetOpacity;
+    // Advance with the app's ticker rather than the shared one, so a
+    // manually stepped ticker drives it too
+    anim.autoUpdate = false;
+    const advance = (ticker) => {
+      if (anim.destroyed) app.ticker.remove(advance);
+      else anim.update(ticker);
+    };
+    app.ticker.add(advance);
 
-    const size = tile._tileSize;
-    anim.position.set(size / 2, size / 2);
-
-    const sx = (size * explosionSheetScaleFit) / explosionFrameW;
-    const sy = (size * explosionSheetScaleFit) / explosionFrameH;
-    anim.scale.set(Math.min(sx, sy));
+    tile._explosion = anim;
+    fitExplosionToTile(tile);
 
     const wrap = tile._wrap;
     const iconIndex = wrap.getChildIndex(tile._icon);
     wrap.addChildAt(anim, iconIndex);
 
     anim.onComplete = () => {
+      app.ticker.remove(advance);
+      if (tile._explosion === anim) tile._explosion = null;
       anim.destroy();
     };
     anim.play();
   }
 
+  function fitExplosionToTile(tile) {
+    const anim = tile._explosion;
+    if (!anim) return;
+
+    const size = tile._tileSize;
+    anim.position.set(size / 2, size / 2);
+
+    const sx = (size * explosionSheetScaleFit) / explosionFrameW;
+    const sy = (size * explosionSheetScaleFit) / explosionFrameH;
+    anim.scale.set(Math.min(sx, sy));
+  }
+
   function bombShakeTile(tile) {
-    if (!explosionShakeEnabled || tile._bombShaking) return;
+    if (!explosionShakeEnabled || !fullMotion() || tile._bombShaking) return;
     tile._bombShaking = true;
 
-    const duration = explosionShakeDuration;
+    const duration = paced(explosionShakeDuration);
     const amp = explosionShakeAmplitude;
     const rotAmp = explosionShakerotationAmplitude;
     const f1 = explosionShakeBaseFrequency;
     const f2 = explosionShakeSecondaryFrequency;
 
-    const bx = tile._baseX ?? tile.x;
-    const by = tile._baseY ?? tile.y;
+    // Base position is read every frame so a relayout mid-shake is honoured
+    const baseX = () => tile._baseX ?? tile.x;
+    const baseY = () => tile._baseY ?? tile.y;
     const r0 = tile.rotation;
 
-    const phiX1 = Math.random() * Math.PI * 2;
-    const phiX2 = Math.random() * Math.PI * 2;
-    const phiY1 = Math.random() * Math.PI * 2;
-    const phiY2 = Math.random() * Math.PI * 2;
+    const phiX1 = random() * Math.PI * 2;
+    const phiX2 = random() * Math.PI * 2;
+    const phiY1 = random() * Math.PI * 2;
+    const phiY2 = random() * Math.PI * 2;
 
-    tween(app, {
+    animate({
       duration,
       ease: (t) => t,
       update: (p) => {
@@ -674,20 +1090,110 @@ export async function createMinesGame(mount, opts = {}) {
         const dy =
           (Math.cos(w1 + phiY1) + 0.5 * Math.sin(w2 + phiY2)) * amp * decay;
 
-        tile.x = bx + dx;
-        tile.y = by + dy;
+        tile.x = baseX() + dx;
+        tile.y = baseY() + dy;
 
         tile.rotation = r0 + Math.sin(w2 + phiX1) * rotAmp * decay;
       },
       complete: () => {
-        tile.x = bx;
-        tile.y = by;
+        tile.x = baseX();
+        tile.y = baseY();
         tile.rotation = r0;
         tile._bombShaking = false;
       },
     });
   }
 
+  // Reveal effects
+
+  // Particles only run with full motion on the high profile
+  function particlesActive() {
+    return particlesEnabled && fullMotion() && performanceProfile !== "low";
+  }
+
+  function spawnDiamondSparkles(tile) {
+    if (!particlesActive() || !diamondSparkleEnabled) return;
+    const center = particles.container.toLocal(tile._wrap.getGlobalPosition());
+    const size = tile._tileSize;
+    particles.burst({
+      x: center.x,
+      y: center.y,
+      count: diamondSparkleCount,
+      shape: "spark",
+      tint: [0xffffff, theme.popupMultiplier, theme.popupBorder],
+      size: [size * 0.08, size * 0.18],
+      speed: [size * 0.8, size * 2.2],
+      life: [350, 650],
+      spin: [-6, 6],
+    });
+  }
+
+  // Coins fall from above the canvas over the whole width
+  function spawnCoinShower() {
+    if (!particlesActive() || !coinShowerEnabled) return;
+    const { width, height } = app.renderer;
+    const size = Math.max(8, width * 0.035);
+    particles.burst({
+      x: 0,
+      y: -size,
+      width,
+      count: coinShowerCount,
+      shape: "coin",
+      tint: theme.popupCoin,
+      size: [size * 0.7, size * 1.2],
+      speed: [20, 90],
+      angle: [Math.PI * 0.3, Math.PI * 0.7],
+      gravity: height * 1.4,
+      life: [900, 1300],
+      delay: [0, coinShowerDuration * 0.6],
+      flip: true,
+      shrink: false,
+    });
+  }
+
+  // Board-wide shake; moves the board's pivot so centerBoard() keeps working
+  function shakeBoard() {
+    if (!lossShakeEnabled || !fullMotion()) return;
+    const amp = lossShakeAmplitude;
+    const phiX = random() * Math.PI * 2;
+    const phiY = random() * Math.PI * 2;
+    animate({
+      duration: paced(lossShakeDuration),
+      update: (p) => {
+        if (board.destroyed) return;
+        const decay = 1 - p;
+        const w = p * Math.PI * 2 * 9;
+        board.pivot.set(
+          Math.sin(w + phiX) * amp * decay,
+          Math.cos(w * 1.3 + phiY) * amp * decay
+        );
+      },
+      complete: () => {
+        if (!board.destroyed) board.pivot.set(0, 0);
+      },
+    });
+  }
+
+  function flashLoss() {
+    if (!lossFlashEnabled || motion === "none") return;
+    lossFlash
+      .clear()
+      .rect(0, 0, app.renderer.width, app.renderer.height)
+      .fill(theme.bombA);
+    lossFlash.visible = true;
+    animate({
+      duration: paced(lossFlashDuration),
+      ease: (t) => Ease.easeOutQuad(t),
+      update: (p) => {
+        if (lossFlash.destroyed) return;
+        lossFlash.alpha = lossFlashOpacity * (1 - p);
+      },
+      complete: () => {
+        if (!lossFlash.destroyed) lossFlash.visible = false;
+      },
+    });
+  }
+
   function getSkew(wrap) {
     return hoverTiltAxis === "y" ? wrap.skew.y : wrap.skew.x;
   }
@@ -711,19 +1217,24 @@ export async function createMinesGame(mount, opts = {}) {
 
     const token = Symbol("hover");
     tile._hoverToken = token;
+    tile._hovered = on;
 
     // Change color
-    const card = tile._card;
-    const inset = tile._inset;
-    const size = tile._tileSize;
-    const r = tile._tileRadius;
-    const pad = tile._tilePad;
-    const faceColor = on ? PALETTE.hover : PALETTE.tileBase;
-    flipFace(card, size, size, r, faceColor);
-    const insetColor = on ? PALETTE.hover : PALETTE.tileBase;
-    flipInset(inset, size, size, r, pad, insetColor);
+    if (on) {
+      paintTile(tile, "hover", "hover");
+    } else {
+      paintTile(tile, ...tileRestColors(tile));
+    }
 
-    tween(app, {
+    // Reduced motion keeps only the color change
+    if (!fullMotion()) {
+      tile._wrap.scale.set(1);
+      setSkew(tile._wrap, 0);
+      tile.y = tile._baseY;
+      return;
+    }
+
+    animate({
       duration: on ? hoverEnterDuration : hoverExitDuration,
       ease: (x) => (on ? 1 - Math.pow(1 - x, 3) : x * x * x),
       update: (p) => {
@@ -746,7 +1257,8 @@ export async function createMinesGame(mount, opts = {}) {
   }
 
   function wiggleTile(t) {
-    if (!wiggleSelectionEnabled || t._animating) return;
+    if (!wiggleSelectionEnabled || !fullMotion() || t._animating) return;
+    if (speed === "instant") return;
 
     const wrap = t._wrap;
     const baseSkew = getSkew(wrap);
@@ -757,8 +1269,8 @@ export async function createMinesGame(mount, opts = {}) {
     const token = Symbol("wiggle");
     t._wiggleToken = token;
 
-    tween(app, {
-      duration: wiggleSelectionDuration,
+    animate({
+      duration: paced(wiggleSelectionDuration),
       ease: (p) => p,
       update: (p) => {
         if (t._wiggleToken !== token) return;
@@ -791,29 +1303,16 @@ export async function createMinesGame(mount, opts = {}) {
   }
 
   function createTile(row, col, size) {
-    const r = Math.min(18, size * 0.18);
-    const pad = Math.max(7, Math.floor(size * 0.08));
-
-    const card = new Graphics()
-      .roundRect(0, 0, size, size, r)
-      .fill(PALETTE.tileBase)
-      .stroke({ color: PALETTE.tileStroke, width: 5, alpha: 0.9 });
-
-    const inset = new Graphics()
-      .roundRect(pad, pad, size - pad * 2, size - pad * 2, Math.max(8, r - 6))
-      .fill(PALETTE.tileInset);
+    const card = new Graphics();
+    const inset = new Graphics();
 
     const icon = new Sprite();
     icon.anchor.set(0.5);
-    icon.x = size / 2;
-    icon.y = size / 2;
     icon.visible = false;
 
     // Centered wrapper – flip happens here
     const flipWrap = new Container();
     flipWrap.addChild(card, inset, icon);
-    flipWrap.position.set(size / 2, size / 2);
-    flipWrap.pivot.set(size / 2, size / 2);
 
     const t = new Container();
     t.addChild(flipWrap);
@@ -829,106 +1328,151 @@ export async function createMinesGame(mount, opts = {}) {
     t._card = card;
     t._inset = inset;
     t._icon = icon;
-    t._tileSize = size;
-    t._tileRadius = r;
-    t._tilePad = pad;
+    [t._faceKey, t._insetKey] = tileRestColors(t);
+    t._strokeWidth = 5;
+    applyTileSize(t, size);
 
     // Ensure tiles are visible immediately (spawn animation disabled for reliability)
     flipWrap.scale.set(1, 1);
 
     t.on("pointerover", () => {
-      const untapedCount = tiles.filter((t) => !t.taped).length;
-      if (untapedCount <= mines) return;
-
-      if (
-        !gameOver &&
-        !waitingForChoice &&
-        !t.revealed &&
-        !t._animating &&
-        selectedTile !== t
-      ) {
+      if (canActivate(t)) {
         if (hoverEnabled) {
           playSoundEffect("tileHover");
         }
         hoverTile(t, true);
 
         if (t._pressed) {
-          t._inset.tint = PALETTE.pressedTint;
-          t._card.tint = PALETTE.pressedTint;
+          t._inset.tint = theme.pressedTint;
+          t._card.tint = theme.pressedTint;
         }
       }
     });
     t.on("pointerdown", () => {
-      const untapedCount = tiles.filter((t) => !t.taped).length;
-      if (
-        gameOver ||
-        waitingForChoice ||
-        t.revealed ||
-        t._animating ||
-        untapedCount <= mines
-      )
-        return;
-      t._inset.tint = PALETTE.pressedTint;
-      t._card.tint = PALETTE.pressedTint;
+      if (!canActivate(t)) return;
+      t._inset.tint = theme.pressedTint;
+      t._card.tint = theme.pressedTint;
       t._pressed = true;
     });
     t.on("pointerup", () => {
       if (t._pressed) {
         t._pressed = false;
-        t._inset.tint = PALETTE.defaultTint;
-        t._card.tint = PALETTE.defaultTint;
+        t._inset.tint = theme.defaultTint;
+        t._card.tint = theme.defaultTint;
       }
     });
     t.on("pointerout", () => {
-      if (!t.revealed && !t._animating && selectedTile !== t) {
+      if (!t.revealed && !t._animating && !engine.isSelected(t.row, t.col)) {
         hoverTile(t, false);
         if (t._pressed) {
           t._pressed = false;
-          t._inset.tint = PALETTE.defaultTint;
-          t._card.tint = PALETTE.defaultTint;
+          t._inset.tint = theme.defaultTint;
+          t._card.tint = theme.defaultTint;
         }
       }
     });
     t.on("pointerupoutside", () => {
       if (t._pressed) {
         t._pressed = false;
-        t._inset.tint = PALETTE.defaultTint;
-        t._card.tint = PALETTE.defaultTint;
+        t._inset.tint = theme.defaultTint;
+        t._card.tint = theme.defaultTint;
       }
     });
-    t.on("pointertap", () => {
-      totalSafe;
-
-      const untapedCount = tiles.filter((t) => !t.taped).length;
-      if (
-        gameOver ||
-        waitingForChoice ||
-        t.revealed ||
-        t._animating ||
-        untapedCount <= mines
+    t.on("pointertap", () => activateTile(t));
+
+    return t;
+  }
+
+  function canActivate(t) {
+    return session.canInteract(t.row, t.col) && !t._animating;
+  }
+
+  // Picks a tile, or marks it for autobet; shared by pointer taps and the keyboard
+  function activateTile(t) {
+    if (!canActivate(t)) return;
+    if (session.activate(t.row, t.col) === "toggled") playSoundEffect("tileTapped");
+  }
+
+  function drawFocusRing() {
+    const tile = focusedTileKey
+      ? tiles.find((t) => `${t.row},${t.col}` === focusedTileKey)
+      : null;
+    focusRing.clear();
+    focusRing.visible = Boolean(tile);
+    if (!tile) return;
+
+    const size = tile._tileSize;
+    const inset = 4;
+    focusRing
+      .roundRect(
+        tile._baseX - inset,
+        tile._baseY - inset,
+        size + inset * 2,
+        size + inset * 2,
+        tile._tileRadius + inset
       )
-        return;
+      .stroke({ color: theme.focusRing, width: 3, alpha: 0.95 });
+  }
 
-      playSoundEffect("tileTapped");
-      t.taped = true;
-      hoverTile(t, false);
-      enterWaitingState(t);
-    });
+  // Theme keys for the face and inset of an unrevealed tile
+  function tileRestColors(tile) {
+    if (session.isAutoSelected(tile.row, tile.col)) {
+      return ["autoSelected", "autoSelected"];
+    }
+    return ["tileBase", "tileInset"];
+  }
 
-    return t;
+  // Redraws a tile's geometry for a new size, keeping its face and icon state
+  function applyTileSize(tile, size) {
+    tile._tileSize = size;
+    tile._tileRadius = Math.min(18, size * 0.18);
+    // Fixed 7px padding would swallow the inset on the small tiles of big grids
+    tile._tilePad = Math.max(
+      Math.min(7, Math.floor(size * 0.12)),
+      Math.floor(size * 0.08)
+    );
+
+    tile._wrap.position.set(size / 2, size / 2);
+    tile._wrap.pivot.set(size / 2, size / 2);
+
+    paintTile(tile, tile._faceKey, tile._insetKey, tile._strokeWidth);
+
+    const icon = tile._icon;
+    icon.x = size / 2;
+    icon.y = size / 2;
+    if (icon.visible) {
+      const iconSize = size * iconSizePercentage * (tile._iconSizeFactor ?? 1);
+      icon.width = iconSize;
+      icon.height = iconSize;
+    }
+
+    fitExplosionToTile(tile);
   }
 
-  function flipFace(graphic, w, h, r, color, stroke = true) {
+  // Colors are theme keys so setTheme() can repaint tiles in place
+  function paintTile(tile, faceKey, insetKey, strokeWidth = 2) {
+    const size = tile._tileSize;
+    const r = tile._tileRadius;
+    tile._faceKey = faceKey;
+    tile._insetKey = insetKey;
+    tile._strokeWidth = strokeWidth;
+    flipFace(tile._card, size, size, r, theme[faceKey], strokeWidth);
+    flipInset(tile._inset, size, size, r, tile._tilePad, theme[insetKey]);
+  }
+
+  function flipFace(graphic, w, h, r, color, strokeWidth = 2) {
     graphic.clear().roundRect(0, 0, w, h, r).fill(color);
-    if (stroke) {
-      graphic.stroke({ color: PALETTE.tileStroke, width: 2, alpha: 0.9 });
+    if (strokeWidth) {
+      const width = Math.min(strokeWidth, Math.max(1, w * 0.06));
+      graphic.stroke({ color: theme.tileStroke, width, alpha: 0.9 });
     }
   }
 
   function flipInset(graphic, w, h, r, pad, color) {
+    const insetRadius = Math.max(Math.min(8, r), r - 6);
     graphic
       .clear()
-      .roundRect(pad, pad, w - pad * 2, h - pad * 2, Math.max(8, r - 6))
+      .roundRect(pad, pad, w - pad * 2, h - pad * 2, insetRadius)
       .fill(color);
   }
 
@@ -969,26 +1513,27 @@ export async function createMinesGame(mount, opts = {}) {
   function revealTileWithFlip(
     tile,
     face /* "diamond" | "bomb" */,
-    revealedByPlayer = true
+    revealedByPlayer = true,
+    extraDelay = 0
   ) {
     if (tile._animating || tile.revealed) return;
 
     const unrevealed = tiles.filter((t) => !t.revealed).length;
     const revealedCount = tiles.length - unrevealed;
     const progress = Math.min(1, revealedCount / tiles.length);
-    const flipDelay = revealedByPlayer
-      ? flipDelayMin + (flipDelayMax - flipDelayMin) * progress
-      : flipDelayMin;
-    setTimeout(() => {
+    // Reduced motion skips the wait before the flip
+    const flipDelay = !fullMotion()
+      ? 0
+      : paced(
+          revealedByPlayer
+            ? flipDelayMin + (flipDelayMax - flipDelayMin) * progress
+            : flipDelayMin
+        );
+    clock.setTimeout(() => {
       stopHover(tile);
       stopWiggle(tile);
       const wrap = tile._wrap;
-      const card = tile._card;
-      const inset = tile._inset;
       const icon = tile._icon;
-      const radius = tile._tileRadius;
-      const pad = tile._tilePad;
-      const size = tile._tileSize;
 
       tile._animating = true;
 
@@ -1005,24 +1550,27 @@ export async function createMinesGame(mount, opts = {}) {
         icon.alpha = 0.5;
       }
 
-      tween(app, {
-        duration: flipDuration,
+      animate({
+        duration: paced(flipDuration),
         ease: (t) => easeFlip(t),
         update: (t) => {
-          const widthFactor = Math.max(0.0001, Math.abs(Math.cos(Math.PI * t)));
-
-          const elev = Math.sin(Math.PI * t);
-          const popS = 1 + 0.06 * elev;
-
-          const biasSkew =
-            (tile._tiltDir ?? (startSkew >= 0 ? +1 : -1)) *
-            0.22 *
-            Math.sin(Math.PI * t);
-          const skewOut = startSkew * (1 - t) + biasSkew;
-
-          wrap.scale.x = widthFactor * popS;
-          wrap.scale.y = startScaleY * popS;
-          setSkew(wrap, skewOut);
+          // Without full motion the face just changes halfway through
+          if (fullMotion()) {
+            const widthFactor = Math.max(0.0001, Math.abs(Math.cos(Math.PI * t)));
+
+            const elev = Math.sin(Math.PI * t);
+            const popS = 1 + 0.06 * elev;
+
+            const biasSkew =
+              (tile._tiltDir ?? (startSkew >= 0 ? +1 : -1)) *
+              0.22 *
+              Math.sin(Math.PI * t);
+            const skewOut = startSkew * (1 - t) + biasSkew;
+
+            wrap.scale.x = widthFactor * popS;
+            wrap.scale.y = startScaleY * popS;
+            setSkew(wrap, skewOut);
+          }
 
           if (!swapped && t >= 0.5) {
             swapped = true;
@@ -1030,6 +1578,7 @@ export async function createMinesGame(mount, opts = {}) {
             const iconSizeFactor = revealedByPlayer
               ? 1.0
               : iconRevealedSizeFactor;
+            tile._iconSizeFactor = iconSizeFactor;
             const maxW = tile._tileSize * iconSizePercentage * iconSizeFactor;
             const maxH = tile._tileSize * iconSizePercentage * iconSizeFactor;
             icon.width = maxW;
@@ -1037,14 +1586,9 @@ export async function createMinesGame(mount, opts = {}) {
 
             if (face === "bomb") {
               icon.texture = bombTexture;
-              const facePalette = revealedByPlayer
-                ? PALETTE.bombA
-                : PALETTE.bombAUnrevealed;
-              flipFace(card, size, size, radius, facePalette);
-              const insetPalette = revealedByPlayer
-                ? PALETTE.bombB
-                : PALETTE.bombBUnrevealed;
-              flipInset(inset, size, size, radius, pad, insetPalette);
+              const facePalette = revealedByPlayer ? "bombA" : "bombAUnrevealed";
+              const insetPalette = revealedByPlayer ? "bombB" : "bombBUnrevealed";
+              paintTile(tile, facePalette, insetPalette);
 
               if (revealedByPlayer) {
                 spawnExplosionSheetOnTile(tile);
@@ -1055,16 +1599,12 @@ export async function createMinesGame(mount, opts = {}) {
               // Diamond
               icon.texture = diamondTexture;
 
-              const facePalette = revealedByPlayer
-                ? PALETTE.safeA
-                : PALETTE.safeAUnrevealed;
-              flipFace(card, size, size, radius, facePalette);
-              const insetPalette = revealedByPlayer
-                ? PALETTE.safeB
-                : PALETTE.safeBUnrevealed;
-              flipInset(inset, size, size, radius, pad, insetPalette);
+              const facePalette = revealedByPlayer ? "safeA" : "safeAUnrevealed";
+              const insetPalette = revealedByPlayer ? "safeB" : "safeBUnrevealed";
+              paintTile(tile, facePalette, insetPalette);
 
               if (revealedByPlayer) {
+                spawnDiamondSparkles(tile);
                 playSoundEffect("diamondRevealed");
               }
             }
@@ -1074,84 +1614,60 @@ export async function createMinesGame(mount, opts = {}) {
           forceFlatPose(tile);
           tile._animating = false;
           tile.revealed = true;
+          boardMirror.updateTile(tile.row, tile.col, face);
 
-          if (revealedByPlayer) {
-            if (face === "bomb") {
-              revealAllTiles(tile);
-              onGameOver();
-            } else {
-              revealedSafe += 1;
-              if (revealedSafe >= totalSafe) {
-                gameOver = true;
-                revealAllTiles();
-                playSoundEffect("win");
-                onWin();
-              }
-            }
-
-    dlog('buildBoard: tiles', { count: tiles.length, size: tileSize, gap });
-
-    try { debugOverlay(`Tiles: ${tiles.length}`); } catch {}
-
-            onChange(getState());
+          // Ignore flips that finish after the board was rebuilt
+          if (revealedByPlayer && tiles.includes(tile)) {
+            engine.finishReveal(tile.row, tile.col);
           }
         },
       });
     try { window.__mines_tiles = tiles.length; } catch {}
 
-    }, flipDelay);
+    }, flipDelay + extraDelay);
   }
 
-  function revealAllTiles(triggeredBombTile) {
-    const unrevealed = tiles.filter((t) => !t.revealed);
-    const bombsNeeded = mines - 1;
-    let available = unrevealed.filter((t) => t !== triggeredBombTile);
-
-    // Shuffle available tiles
-    for (let i = available.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [available[i], available[j]] = [available[j], available[i]];
-      stopHover(available[i]);
-    }
+  function tileAt(row, col) {
+    return tiles.find((t) => t.row === row && t.col === col) ?? null;
+  }
 
-    // Pick bombs
-    const bombTiles = available.slice(0, bombsNeeded);
-    bombTiles.forEach((t) => bombPositions.add(`${t.row},${t.col}`));
+  function revealAllTiles() {
+    const unrevealed = tiles.filter(
+      (t) => !t.revealed && !engine.getFace(t.row, t.col)
+    );
 
-    // Reveal all unrevealed tiles
     unrevealed.forEach((t, idx) => {
-      const key = `${t.row},${t.col}`;
-      const isBomb = bombPositions.has(key);
+      stopHover(t);
+      const isBomb = engine.isBomb(t.row, t.col);
 
       // stagger them slightly for effect
-      setTimeout(() => {
+      clock.setTimeout(() => {
         revealTileWithFlip(t, isBomb ? "bomb" : "diamond", false);
-      }, revealAllIntervalDelay * idx);
+      }, motion === "none" ? 0 : paced(revealAllIntervalDelay * idx));
     });
   }
 
   function buildBoard() {
-    clearSelection();
+    const grid = engine.grid;
     board.removeChildren();
     tiles = [];
-    revealedSafe = 0;
-    totalSafe = GRID * GRID - mines;
+    particles.clear();
 
-    const { tileSize, gap, boardSize } = layoutSizes();
-    const startX = -boardSize / 2;
-    const startY = -boardSize / 2;
+    const { tileSize, gap } = layoutSizes();
 
-    for (let r = 0; r < GRID; r++) {
-      for (let c = 0; c < GRID; c++) {
+    for (let r = 0; r < grid; r++) {
+      for (let c = 0; c < grid; c++) {
         const tile = createTile(r, c, tileSize);
-        tile.x = startX + c * (tileSize + gap);
-        tile.y = startY + r * (tileSize + gap);
-        tile._baseX = tile.x;
-        tile._baseY = tile.y;
         board.addChild(tile);
         tiles.push(tile);
       }
     }
+    board.addChild(focusRing);
+    boardMirror.rebuild(grid);
+    layoutBoard();
+
+    dlog('buildBoard: tiles', { count: tiles.length, size: tileSize, gap });
+    try { debugOverlay(`Tiles: ${tiles.length}`); } catch {}
 
     if (shouldPlayStartSound) {
       playSoundEffect("gameStart");
@@ -1159,13 +1675,46 @@ export async function createMinesGame(mount, opts = {}) {
     }
   }
 
+  // Moves and rescales the existing tiles to the current canvas size.
+  // Game state is left untouched; only reset() starts a new board.
+  function layoutBoard() {
+    const { tileSize, gap, boardSize } = layoutSizes();
+    const startX = -boardSize / 2;
+    const startY = -boardSize / 2;
+
+    for (const tile of tiles) {
+      if (tile._tileSize !== tileSize) applyTileSize(tile, tileSize);
+
+      tile._baseX = startX + tile.col * (tileSize + gap);
+      tile._baseY = startY + tile.row * (tileSize + gap);
+
+      // Snap hover tweens to their end pose, otherwise they would drag the
+      // tile back to its old position
+      const lifted = tile._hovered && !tile.revealed;
+      stopHover(tile);
+      if (!tile._animating && !tile.revealed) {
+        tile._wrap.scale.set(lifted ? 1.03 : 1);
+        setSkew(tile._wrap, lifted ? hoverSkewAmount : 0);
+      }
+
+      tile.x = tile._baseX;
+      tile.y = lifted ? tile._baseY - 3 : tile._baseY;
+    }
+
+    drawFocusRing();
+  }
+
   function layoutSizes() {
+    const grid = engine.grid;
     const canvasSize = Math.min(app.renderer.width, app.renderer.height);
     const topSpace = 32;
     const boardSize = Math.max(40, canvasSize - topSpace - 10);
-    const gap = Math.max(10, Math.floor(boardSize * 0.02));
-    const totalGaps = gap * (GRID - 1);
-    const tileSize = Math.floor((boardSize - totalGaps) / GRID);
+    const gap = Math.max(
+      Math.round(50 / grid),
+      Math.floor((boardSize * 0.1) / grid)
+    );
+    const totalGaps = gap * (grid - 1);
+    const tileSize = Math.floor((boardSize - totalGaps) / grid);
     return { tileSize, gap, boardSize };
   }
 
@@ -1173,6 +1722,8 @@ export async function createMinesGame(mount, opts = {}) {
     board.position.set(app.renderer.width / 2, app.renderer.height / 2 + 12);
     board.scale.set(1);
     positionWinPopup();
+    soundToggle.container.position.set(app.renderer.width - 32, 4);
+    hud.layout();
   }
 
   function resizeSquare() {
@@ -1185,40 +1736,34 @@ export async function createMinesGame(mount, opts = {}) {
 
     const size = Math.floor(Math.min(cw, ch));
     app.renderer.resize(size, size);
-    buildBoard();
+    layoutBoard();
     centerBoard();
-    positionWinPopup();
+    session.emit("resize", {
+      width: size,
+      height: size,
+      tileSize: layoutSizes().tileSize,
+      state: getState(),
+    });
   }
 
-  function enterWaitingState(tile) {
-    waitingForChoice = true;
-    selectedTile = tile;
+  function onTilePicked({ row, col }) {
+    const tile = tileAt(row, col);
+    playSoundEffect("tileTapped");
+    if (tile._hovered) hoverTile(tile, false);
 
-    if (onCardSelected) {
-      onCardSelected({
-        row: tile.row,
-        col: tile.col,
-        tile: tile,
-      });
-    }
+    boardMirror.updateTile(row, col, "selected");
+    boardMirror.announce(describeTile(row, col, "selected", format.t));
 
     const sy = getSkew(tile._wrap) || 0;
     tile._tiltDir = sy >= 0 ? +1 : -1;
 
     wiggleTile(tile);
-    onChange(getState());
-  }
-
-  function clearSelection() {
-    if (selectedTile && !selectedTile.revealed) {
-      hoverTile(selectedTile, false);
-      selectedTile._inset.tint = 0xffffff;
-    }
-    waitingForChoice = false;
-    selectedTile = null;
   }
 
   resizeSquare();
+  buildBoard();
+  centerBoard();
+
   // Kick one extra layout tick after mount to cover late size changes
   setTimeout(resizeSquare, 0);
 
@@ -1227,12 +1772,18 @@ export async function createMinesGame(mount, opts = {}) {
 
   return {
     app,
-    reset,
-    setMines,
-    getState,
+    ...session.api,
+    setTheme,
+    setVolume,
+    setMuted,
+    setEffectVolume,
+    getSoundSettings,
     destroy,
-    setSelectedCardIsDiamond,
-    SetSelectedCardIsBomb,
     showWinPopup: spawnWinPopup,
+    setMotion,
+    getMotion,
+    setSpeed,
+    getSpeed,
+    getPerformanceProfile,
   };
 }
@@ -0,0 +1,48 @@
+// Motion modes for the board animations:
+//   "full"     every tween, shake and particle effect
+//   "reduced"  no hover tilt, wiggle, shakes or particles; flips without the
+//              turn and no staggered delays
+//   "none"     no animation at all; tiles, popups and the HUD change at once
+// Without an explicit mode the board follows prefers-reduced-motion.
+
+export const MOTION_MODES = Object.freeze(["full", "reduced", "none"]);
+
+const QUERY = "(prefers-reduced-motion: reduce)";
+
+function mediaQuery() {
+  return typeof matchMedia === "function" ? matchMedia(QUERY) : null;
+}
+
+export function prefersReducedMotion() {
+  return Boolean(mediaQuery()?.matches);
+}
+
+// Reveal pacing, as a factor on the board's delays and durations. "instant"
+// skips the waits, the selection wiggle and the explosion.
+export const SPEEDS = Object.freeze({ normal: 1, fast: 0.35, instant: 0 });
+
+export function resolveSpeed(speed) {
+  if (speed in SPEEDS) return speed;
+  if (speed !== undefined && speed !== null) {
+    console.warn(`speed: unknown speed "${speed}", expected ${Object.keys(SPEEDS).join(", ")}`);
+  }
+  return "normal";
+}
+
+// Unknown values fall back to the user's preference
+export function resolveMotion(mode) {
+  if (MOTION_MODES.includes(mode)) return mode;
+  if (mode !== undefined && mode !== null) {
+    console.warn(`motion: unknown mode "${mode}", expected ${MOTION_MODES.join(", ")}`);
+  }
+  return prefersReducedMotion() ? "reduced" : "full";
+}
+
+// Calls fn(mode) when the OS setting changes; returns an unsubscribe function
+export function watchMotionPreference(fn) {
+  const query = mediaQuery();
+  if (!query?.addEventListener) return () => {};
+  const onChange = () => fn(query.matches ? "reduced" : "full");
+  query.addEventListener("change", onChange);
+  return () => query.removeEventListener("change", onChange);
+}
@@ -0,0 +1,169 @@
+// Lightweight particle emitter for board effects (diamond sparkles, the coin
+// shower). Particles are Sprites in one Container, moved along closed-form
+// paths from the injected clock on app.ticker, so a seeded run on a manual
+// clock renders the same frames every time.
+
+import { Container, Graphics, Sprite } from "pixi.js";
+
+// Texture radius in px; sprites are scaled to the requested size
+const TEXTURE_RADIUS = 16;
+
+function drawShape(shape) {
+  const g = new Graphics();
+  const r = TEXTURE_RADIUS;
+  if (shape === "spark") {
+    g.star(0, 0, 4, r, r * 0.28).fill(0xffffff);
+  } else if (shape === "coin") {
+    // Grey rim and mark come out as darker shades of the tint
+    g.circle(0, 0, r).fill(0xffffff);
+    g.circle(0, 0, r * 0.68).stroke({ color: 0xb8b8b8, width: r * 0.16 });
+    g.rect(-r * 0.08, -r * 0.36, r * 0.16, r * 0.72).fill(0xb8b8b8);
+  } else {
+    g.circle(0, 0, r).fill(0xffffff);
+  }
+  return g;
+}
+
+// [min, max] picks a value in between; a plain number is used as is
+function pick(random, value) {
+  return Array.isArray(value) ? value[0] + random() * (value[1] - value[0]) : value;
+}
+
+export function createParticleEmitter(
+  app,
+  { clock, random = Math.random, maxParticles = 200 } = {}
+) {
+  const container = new Container();
+  container.eventMode = "none";
+
+  const textures = new Map(); // shape -> Texture
+  let particles = [];
+  let running = false;
+
+  function textureFor(shape) {
+    if (!textures.has(shape)) {
+      const g = drawShape(shape);
+      textures.set(shape, app.renderer.generateTexture(g));
+      g.destroy();
+    }
+    return textures.get(shape);
+  }
+
+  // Spawns `count` particles at (x, y), or spread over `width` x `height`
+  // from there. Ranges are [min, max]: speed in px/s, angle in radians
+  // (0 = right, -PI/2 = up), gravity in px/s², life and delay in ms.
+  function burst({
+    x,
+    y,
+    width = 0,
+    height = 0,
+    count = 12,
+    shape = "dot",
+    tint = 0xffffff, // number or a list to pick from
+    size = [4, 8],
+    speed = [60, 160],
+    angle = [0, Math.PI * 2],
+    gravity = 0,
+    life = [400, 700],
+    delay = 0,
+    spin = 0,
+    flip = false, // coin-like turn around the vertical axis
+    shrink = true,
+  }) {
+    const texture = textureFor(shape);
+    const now = clock.now();
+    const room = Math.max(0, maxParticles - particles.length);
+    const tints = Array.isArray(tint) ? tint : [tint];
+
+    for (let i = 0; i < Math.min(count, room); i++) {
+      const sprite = new Sprite(texture);
+      sprite.anchor.set(0.5);
+      sprite.visible = false;
+      sprite.tint = tints[Math.floor(random() * tints.length)];
+      container.addChild(sprite);
+
+      const direction = pick(random, angle);
+      const velocity = pick(random, speed);
+      particles.push({
+        sprite,
+        born: now + pick(random, delay),
+        life: Math.max(1, pick(random, life)),
+        x: x + random() * width,
+        y: y + random() * height,
+        vx: Math.cos(direction) * velocity,
+        vy: Math.sin(direction) * velocity,
+        gravity,
+        scale: pick(random, size) / (TEXTURE_RADIUS * 2),
+        rotation: random() * Math.PI * 2,
+        spin: pick(random, spin),
+        flip: flip ? 4 + random() * 6 : 0,
+        shrink,
+      });
+    }
+    start();
+  }
+
+  function update() {
+    const now = clock.now();
+    particles = particles.filter((p) => {
+      const age = now - p.born;
+      if (age >= p.life) {
+        p.sprite.destroy();
+        return false;
+      }
+      if (age < 0) return true;
+
+      const t = age / p.life;
+      const s = age / 1000;
+      const { sprite } = p;
+      sprite.visible = true;
+      sprite.position.set(
+        p.x + p.vx * s,
+        p.y + p.vy * s + 0.5 * p.gravity * s * s
+      );
+      sprite.rotation = p.rotation + p.spin * s;
+      // Fully visible for most of the life, then fade out
+      sprite.alpha = t < 0.6 ? 1 : 1 - (t - 0.6) / 0.4;
+      const scale = p.scale * (p.shrink ? 1 - 0.6 * t : 1);
+      const turn = p.flip ? Math.cos(p.flip * s) : 1;
+      sprite.scale.set(scale * turn, scale);
+      return true;
+    });
+    if (!particles.length) stop();
+  }
+
+  function start() {
+    if (running || !particles.length) return;
+    running = true;
+    app.ticker.add(update);
+  }
+
+  function stop() {
+    if (!running) return;
+    running = false;
+    app.ticker.remove(update);
+  }
+
+  function clear() {
+    particles.forEach((p) => p.sprite.destroy());
+    particles = [];
+    stop();
+  }
+
+  function destroy() {
+    clear();
+    textures.forEach((texture) => texture.destroy(true));
+    textures.clear();
+    container.destroy();
+  }
+
+  return {
+    container,
+    burst,
+    clear,
+    destroy,
+    get count() {
+      return particles.length;
+    },
+  };
+}
@@ -0,0 +1,27 @@
+// Payout multipliers for a Mines round.
+// The fair multiplier after k diamonds is the inverse of the chance to pick
+// k safe tiles in a row; the house edge is taken off the top.
+
+export const DEFAULT_HOUSE_EDGE = 0.01;
+
+export function computeMultiplier({
+  grid,
+  mines,
+  revealed,
+  houseEdge = DEFAULT_HOUSE_EDGE,
+}) {
+  const total = grid * grid;
+  const safe = total - mines;
+  if (revealed <= 0) return 1;
+  if (revealed > safe) return null;
+
+  let chance = 1;
+  for (let i = 0; i < revealed; i++) {
+    chance *= (safe - i) / (total - i);
+  }
+  return (1 - houseEdge) / chance;
+}
+
+export function computeNextMultiplier({ grid, mines, revealed, houseEdge }) {
+  return computeMultiplier({ grid, mines, revealed: revealed + 1, houseEdge });
+}
@@ -0,0 +1,84 @@
+// Performance profiles for the Pixi board.
+//   "high"  device pixel ratio (up to 2), antialiasing, explosion spritesheet
+//   "low"   resolution 1, no antialiasing, no explosion sheet or particles
+// "auto" starts high and drops to low once the ticker FPS stays under
+// `minFps` for `lowFpsDuration` ms. The drop is remembered in localStorage:
+// antialiasing is fixed when the WebGL context is created, so it only goes
+// away on the next start. A saved drop expires after `maxAge` ms, so one slow
+// stretch (a busy tab, devtools open) doesn't pin a device to "low" for good.
+
+export const PERFORMANCE_PROFILES = Object.freeze(["auto", "high", "low"]);
+
+export const DEFAULT_PROFILE_MAX_AGE = 24 * 60 * 60 * 1000;
+
+// Saved as { profile, savedAt }; expired or unreadable entries give null
+export function loadPerformanceProfile(
+  storageKey,
+  { maxAge = DEFAULT_PROFILE_MAX_AGE, storage = globalThis.localStorage } = {}
+) {
+  if (!storageKey || !storage) return null;
+  try {
+    const { profile, savedAt } = JSON.parse(storage.getItem(storageKey)) ?? {};
+    if (profile !== "low" && profile !== "high") return null;
+    const age = Date.now() - savedAt;
+    return age >= 0 && age < maxAge ? profile : null;
+  } catch {
+    return null;
+  }
+}
+
+export function savePerformanceProfile(
+  storageKey,
+  profile,
+  storage = globalThis.localStorage
+) {
+  if (!storageKey || !storage) return;
+  try {
+    storage.setItem(storageKey, JSON.stringify({ profile, savedAt: Date.now() }));
+  } catch (e) {
+    console.warn("performance: could not save the profile", e);
+  }
+}
+
+// Watches app.ticker.FPS and calls onLow() once when it stays low
+export function createFpsMonitor(
+  app,
+  {
+    clock,
+    minFps = 40,
+    lowFpsDuration = 3000, // ms of low FPS before giving up on "high"
+    warmup = 2000, // ms ignored after start (asset uploads, first layout)
+    onLow,
+  }
+) {
+  const startedAt = clock.now();
+  let lowSince = null;
+  let running = true;
+
+  const check = () => {
+    const now = clock.now();
+    if (now - startedAt < warmup) return;
+    // Hidden tabs get no frames; the first one back reports a huge delta
+    if (typeof document !== "undefined" && document.hidden) {
+      lowSince = null;
+      return;
+    }
+    if (app.ticker.FPS >= minFps) {
+      lowSince = null;
+    } else if (lowSince === null) {
+      lowSince = now;
+    } else if (now - lowSince >= lowFpsDuration) {
+      stop();
+      onLow?.();
+    }
+  };
+
+  function stop() {
+    if (!running) return;
+    running = false;
+    app.ticker.remove(check);
+  }
+
+  app.ticker.add(check);
+  return { stop };
+}
@@ -0,0 +1,55 @@
+// Plays a recorded round (engine.getReplay()) back through an engine at the
+// recorded pace. The view renders it like a live round through the engine's
+// events; only the host callbacks are up to the view to hold back.
+
+import { STATES } from "./engine.js";
+import { realClock, sleep } from "./clock.js";
+
+const ROUND_OVER = [STATES.WON, STATES.LOST, STATES.CASHED_OUT];
+
+// Resolves once ready() holds or the replay is cancelled
+function waitFor(engine, ready, isCancelled) {
+  return new Promise((resolve) => {
+    const check = () => {
+      if (!isCancelled() && !ready()) return;
+      offState();
+      offReset();
+      resolve();
+    };
+    const offState = engine.on("state", check);
+    const offReset = engine.on("reset", check);
+    check();
+  });
+}
+
+// Expects the log to be loaded with engine.startReplay(log) already.
+// Resolves true once the round is over, false if it was cancelled.
+export async function driveReplay(
+  engine,
+  log,
+  { speed = 1, clock = realClock, isCancelled = () => false, onPick, cashOut }
+) {
+  let last = log.events[0]?.at ?? 0;
+  for (const event of log.events) {
+    await sleep(clock, (event.at - last) / speed);
+    last = event.at;
+    if (isCancelled()) return false;
+
+    if (event.type === "pick") {
+      await waitFor(engine, () => engine.canPick(event.row, event.col), isCancelled);
+      if (isCancelled()) return false;
+      onPick?.(event);
+      engine.pick(event.row, event.col);
+    } else if (event.type === "outcome") {
+      engine.resolveSelection([{ row: event.row, col: event.col, face: event.face }]);
+    } else if (event.type === "end" && event.status === STATES.CASHED_OUT) {
+      // The last flip has to finish before the cash-out counts
+      await waitFor(engine, () => engine.canCashOut(), isCancelled);
+      if (isCancelled()) return false;
+      (cashOut ?? engine.cashOut)();
+    }
+  }
+
+  await waitFor(engine, () => ROUND_OVER.includes(engine.status), isCancelled);
+  return !isCancelled();
+}
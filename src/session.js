@@ -0,0 +1,555 @@
+// Round session shared by the Pixi board (mines.js) and the DOM fallback:
+// the engine plus stakes, wallet settlement, history, autobet, replays and
+// the public events. Views only render; they plug in through the `view`
+// hooks and expose `api` next to their own methods.
+
+import { createMinesEngine, STATES } from "./engine.js";
+import { createAutobet } from "./autobet.js";
+import { assertWallet } from "./wallet.js";
+import { resolveCurrency } from "./i18n.js";
+import { driveReplay } from "./replay.js";
+import { createRoundHistory } from "./history.js";
+import { createEmitter } from "./events.js";
+import { realClock } from "./clock.js";
+
+const keyOf = (row, col) => `${row},${col}`;
+
+function positionsFromKeys(keys) {
+  return [...keys].map((key) => {
+    const [row, col] = key.split(",").map(Number);
+    return { row, col };
+  });
+}
+
+// View hooks, all optional:
+//   tileAt(row, col)          tile handed to onCardSelected
+//   onReset()                 a new board starts (rebuild the tiles)
+//   onPick / onOutcome / onReveal(event), onLayout()   engine events
+//   onRoundEnd({ status, multiplier, payout })         lost, won or cashed out
+//   showPayout(multiplier, payout, currency)           win popup
+//   onAutoSelectionChange(position)   a tile was toggled; null = cleared
+//   onError(message)
+export function createMinesSession(opts = {}, view = {}) {
+  const onCardSelected = opts.onCardSelected ?? null;
+  const clock = { ...realClock, ...opts.clock };
+  const wallet = opts.wallet ? assertWallet(opts.wallet) : null;
+  const defaultCurrency = resolveCurrency(opts.currency).code;
+
+  // Public events (game.on/off/once, typed in mines.d.ts). The older opts
+  // callbacks are plain subscribers.
+  const events = createEmitter("MinesGame");
+  if (opts.onWin) events.on("win", opts.onWin);
+  if (opts.onGameOver) events.on("loss", opts.onGameOver);
+  if (opts.onChange) events.on("change", opts.onChange);
+  if (opts.onCashOut) {
+    events.on("cashOut", ({ multiplier, payout, state }) =>
+      opts.onCashOut({ multiplier, payout, ...state })
+    );
+  }
+  // Multiplier a won or cashed-out round is paid at, or a promise of it;
+  // defaults to the engine's (createServerBinding passes the server's)
+  const payoutMultiplier = opts.payoutMultiplier ?? null;
+  const onAutobetRound = opts.onAutobetRound ?? (() => {});
+  const onAutobetStop = opts.onAutobetStop ?? (() => {});
+
+  let currentBet = null; // { roundId, amount, currency }
+  let roundBet = null; // stake of the current round, kept for its replay log
+  let lastReveal = null; // { row, col, face } of the latest player reveal
+  let lastPayout = null; // payOutRound() result of the latest win
+  let placingBet = false;
+  let balance = null; // last balance reported by the wallet
+  let destroyed = false;
+  let boardId = 0; // bumped on every reset; replays stop when it changes
+  let autoSelectMode = false;
+  const autoSelection = new Set(); // "row,col" keys picked for autobet
+  const revealWaiters = new Map(); // "row,col" -> resolve, for autobet picks
+
+  // Finished rounds, optionally persisted ({ storageKey, limit })
+  const history = createRoundHistory(opts.history);
+
+  const autobet = createAutobet({
+    playRound: playAutoRound,
+    roundDelay: opts.autobetRoundDelay ?? 1200,
+    clock,
+    onRound: (result) => {
+      onAutobetRound(result);
+      emitChange();
+    },
+    onStop: (summary) => {
+      onAutobetStop(summary);
+      emitChange();
+    },
+  });
+
+  const engine = createMinesEngine({
+    grid: opts.grid,
+    mines: opts.mines,
+    houseEdge: opts.houseEdge,
+    clientSeed: opts.clientSeed,
+    nonce: opts.nonce,
+    // Asked for the authoritative mine layout when the round is over.
+    // May return the positions (or a promise of them) or call setBoardLayout().
+    onRoundEnd: opts.onRoundEnd,
+    outcomeSource: onCardSelected ? "host" : "fair",
+    waitForView: opts.waitForView ?? false,
+    random: opts.random,
+    selectionLimit: opts.selectionLimit,
+  });
+
+  engine.on("reset", () => {
+    // A stake that wasn't settled yet goes on to the new board
+    roundBet = currentBet;
+    boardId += 1;
+    // Autobet picks on the old board will never finish
+    releaseRevealWaiters();
+    // Drop picks that no longer fit after the mine count changed
+    [...autoSelection].slice(engine.getState().totalSafe).forEach((key) => {
+      autoSelection.delete(key);
+    });
+    view.onReset?.();
+    events.emit("roundStart", {
+      grid: engine.grid,
+      mines: engine.mines,
+      state: getState(),
+    });
+    emitChange();
+  });
+  engine.on("pick", ({ row, col }) => {
+    view.onPick?.({ row, col });
+    if (onCardSelected && !engine.replaying) {
+      onCardSelected({ row, col, tile: view.tileAt?.(row, col) });
+    }
+    events.emit("tilePick", { row, col, state: getState() });
+    emitChange();
+  });
+  engine.on("outcome", (event) => view.onOutcome?.(event));
+  engine.on("reveal", (event) => {
+    const { row, col, face, roundOver } = event;
+    view.onReveal?.(event);
+    lastReveal = { row, col, face };
+    events.emit("tileReveal", { row, col, face, roundOver, state: getState() });
+    if (!roundOver) emitChange();
+
+    const key = keyOf(row, col);
+    const resolve = revealWaiters.get(key);
+    revealWaiters.delete(key);
+    resolve?.(face);
+  });
+  engine.on("roundEnd", ({ status }) => {
+    // cashOut() pays out itself
+    // Replays only animate; the host already heard about the real round
+    if (status === STATES.LOST) {
+      const bet = roundBet?.amount ?? 0;
+      settleBet(takeBet(), 0);
+      recordRound(status, 0, 0);
+      view.onRoundEnd?.({ status, multiplier: 0, payout: 0 });
+      if (!engine.replaying) {
+        const { row, col } = lastReveal;
+        events.emit("loss", { row, col, bet, state: getState() });
+      }
+      emitChange();
+    } else if (status === STATES.WON) {
+      lastPayout = payOutRound(status);
+    }
+  });
+  engine.on("layout", () => {
+    view.onLayout?.();
+    emitChange();
+  });
+  engine.on("fairness", () => emitChange());
+  engine.on("error", ({ context }) => view.onError?.(`${context} failed`));
+
+  function emitChange() {
+    events.emit("change", getState());
+  }
+
+  function reset() {
+    engine.reset();
+  }
+
+  function setMines(n) {
+    engine.setMines(n);
+  }
+
+  function setGrid(n) {
+    // Picks are row/col keys of the old grid
+    autoSelection.clear();
+    engine.setGrid(n);
+  }
+
+  function setClientSeed(seed) {
+    engine.setClientSeed(seed);
+  }
+
+  function getState() {
+    return {
+      ...engine.getState(),
+      bet: currentBet ? { ...currentBet } : null,
+      balance,
+      autoSelectMode,
+      autoSelection: positionsFromKeys(autoSelection),
+      autobetRunning: autobet.isRunning(),
+    };
+  }
+
+  // Outcomes
+
+  function setSelectedCardIsDiamond() {
+    engine.resolveOutcome("diamond");
+  }
+
+  function SetSelectedCardIsBomb() {
+    engine.resolveOutcome("bomb");
+  }
+
+  // Multi-pick: [{ row, col, face }] for picked tiles. Without arguments,
+  // fair rounds reveal the whole selection.
+  function resolveSelection(results) {
+    return engine.resolveSelection(results);
+  }
+
+  function setBoardLayout(positions) {
+    engine.setBoardLayout(positions);
+  }
+
+  // Player input
+
+  function canInteract(row, col) {
+    return engine.canPick(row, col) && !autobet.isRunning() && !engine.replaying;
+  }
+
+  // A tap or key press on a tile: "toggled" in autobet pre-selection,
+  // "picked" when it went to the engine, null when it was ignored
+  function activate(row, col) {
+    if (!canInteract(row, col)) return null;
+
+    // Pre-selection for autobet: taps mark tiles instead of playing them
+    if (autoSelectMode) return toggleAutoSelection(row, col) ? "toggled" : null;
+    // With a wallet attached, rounds only start once the stake is placed
+    if (wallet && !currentBet) return null;
+
+    return engine.pick(row, col) ? "picked" : null;
+  }
+
+  // Ends the round early and pays out the current multiplier; a promise of
+  // the payout when payoutMultiplier answers with one
+  function cashOut() {
+    if (!engine.cashOut()) return null;
+    return payOutRound(STATES.CASHED_OUT);
+  }
+
+  // Pays out a won or cashed-out round, then records and announces it.
+  // Returns { multiplier, payout }, or a promise of it (null if the payout
+  // multiplier couldn't be had) when payoutMultiplier returns a promise.
+  function payOutRound(status) {
+    // The stake is taken now, so a bet on the next board can't be paid instead
+    const bet = takeBet();
+    const stake = engine.replaying ? engine.getReplay().bet : bet;
+    const summary = roundSummary();
+    const paidBoard = boardId;
+
+    const finish = (multiplier) => {
+      const payout = (stake?.amount ?? 0) * multiplier;
+      settleBet(bet, payout);
+      recordRound(status, multiplier, payout, summary);
+      // Nothing to show once the player has moved on to another board
+      if (paidBoard === boardId) {
+        view.showPayout?.(multiplier, payout, stake?.currency);
+        view.onRoundEnd?.({ status, multiplier, payout });
+      }
+      if (!engine.replaying) {
+        events.emit(status === STATES.WON ? "win" : "cashOut", {
+          multiplier,
+          payout,
+          bet: stake?.amount ?? 0,
+          state: getState(),
+        });
+      }
+      emitChange();
+      return { multiplier, payout };
+    };
+
+    const { currentMultiplier } = engine.getState();
+    const multiplier =
+      payoutMultiplier && !engine.replaying
+        ? payoutMultiplier(engine.getState())
+        : currentMultiplier;
+    if (typeof multiplier?.then !== "function") return finish(multiplier);
+
+    // The round is over already; the payout follows once the multiplier is in
+    emitChange();
+    return multiplier.then(finish, (e) => {
+      console.error("payoutMultiplier failed", e);
+      view.onError?.("Bet settlement failed");
+      return null;
+    });
+  }
+
+  // Wallet
+
+  function roundInProgress() {
+    const { gameOver, status, revealedSafe } = engine.getState();
+    return !gameOver && (revealedSafe > 0 || status !== STATES.IDLE);
+  }
+
+  async function placeBet(amount, currency = defaultCurrency) {
+    if (currentBet || placingBet) {
+      throw new Error("placeBet: a bet is already placed for this round");
+    }
+    if (roundInProgress()) {
+      throw new Error("placeBet: a round is already in progress");
+    }
+    if (engine.getState().gameOver) reset();
+
+    let bet = { roundId: null, amount, currency };
+    if (wallet) {
+      placingBet = true;
+      try {
+        const receipt = await wallet.placeBet(amount, currency);
+        bet = {
+          roundId: receipt.roundId,
+          amount: receipt.amount ?? amount,
+          currency: receipt.currency ?? currency,
+        };
+        balance = receipt.balance ?? balance;
+      } finally {
+        placingBet = false;
+      }
+    }
+
+    currentBet = bet;
+    roundBet = bet;
+    emitChange();
+    return { ...bet };
+  }
+
+  async function getBalance() {
+    if (!wallet) return null;
+    const result = await wallet.getBalance();
+    balance = result.amount;
+    return result;
+  }
+
+  // Detaches the stake of the round that just ended
+  function takeBet() {
+    const bet = currentBet;
+    currentBet = null;
+    return bet;
+  }
+
+  function settleBet(bet, payout) {
+    if (!bet || !wallet) return;
+
+    Promise.resolve(wallet.settle(bet.roundId, payout))
+      .then((result) => {
+        balance = result?.balance ?? balance;
+        emitChange();
+      })
+      .catch((e) => {
+        console.error("wallet.settle failed", e);
+        view.onError?.("Bet settlement failed");
+      });
+  }
+
+  // History
+
+  // Board and stake of the round that just ended, taken before a late
+  // payout can find the next board in their place
+  function roundSummary() {
+    const { grid, mines, revealedSafe } = engine.getState();
+    return {
+      grid,
+      mines,
+      revealed: revealedSafe,
+      bet: roundBet?.amount ?? 0,
+      currency: roundBet?.currency ?? defaultCurrency,
+    };
+  }
+
+  function recordRound(outcome, multiplier, payout, summary = roundSummary()) {
+    if (engine.replaying) return;
+    history.add({ ...summary, multiplier, payout, outcome, time: Date.now() });
+  }
+
+  function getHistory() {
+    return history.list();
+  }
+
+  function getStats() {
+    return history.getStats();
+  }
+
+  function clearHistory() {
+    history.clear();
+    emitChange();
+  }
+
+  // Replays
+
+  // Log of the current (or last) round, including its stake
+  function getReplay() {
+    const log = engine.getReplay();
+    if (log && !engine.replaying) {
+      log.bet = roundBet
+        ? { amount: roundBet.amount, currency: roundBet.currency }
+        : null;
+    }
+    return log;
+  }
+
+  // Plays a getReplay() log back on a read-only board. Resolves true when
+  // the round has played out, false if it was interrupted (e.g. by reset()).
+  async function playReplay(log, { speed = 1 } = {}) {
+    if (!(speed > 0)) throw new Error("playReplay: speed must be positive");
+    if (autobet.isRunning() || currentBet || roundInProgress()) {
+      throw new Error("playReplay: finish the current round first");
+    }
+    engine.startReplay(log);
+    const replayBoard = boardId;
+    return driveReplay(engine, log, {
+      speed,
+      clock,
+      isCancelled: () => boardId !== replayBoard,
+      cashOut,
+    });
+  }
+
+  // Autobet
+
+  function setAutoSelectMode(on) {
+    if (autobet.isRunning()) return;
+    autoSelectMode = Boolean(on);
+    if (!autoSelectMode) autoSelection.clear();
+    reset();
+  }
+
+  function isAutoSelected(row, col) {
+    return autoSelection.has(keyOf(row, col));
+  }
+
+  function clearAutoSelection() {
+    if (autobet.isRunning()) return;
+    autoSelection.clear();
+    view.onAutoSelectionChange?.(null);
+    emitChange();
+  }
+
+  function toggleAutoSelection(row, col) {
+    const key = keyOf(row, col);
+    if (autoSelection.has(key)) {
+      autoSelection.delete(key);
+    } else if (autoSelection.size < engine.getState().totalSafe) {
+      autoSelection.add(key);
+    } else {
+      return false;
+    }
+    view.onAutoSelectionChange?.({ row, col });
+    emitChange();
+    return true;
+  }
+
+  function startAutobet(config) {
+    if (!autoSelection.size) {
+      throw new Error("startAutobet: select at least one tile first");
+    }
+    return autobet.start(config);
+  }
+
+  function stopAutobet() {
+    autobet.stop();
+  }
+
+  // Resolves with the revealed face once the view has finished the flip,
+  // or null if the pick was refused or the board went away
+  function pickTile({ row, col }) {
+    return new Promise((resolve) => {
+      revealWaiters.set(keyOf(row, col), resolve);
+      if (!engine.pick(row, col)) {
+        revealWaiters.delete(keyOf(row, col));
+        resolve(null);
+      }
+    });
+  }
+
+  function releaseRevealWaiters() {
+    const waiting = [...revealWaiters.values()];
+    revealWaiters.clear();
+    waiting.forEach((resolve) => resolve(null));
+  }
+
+  async function playAutoRound(bet) {
+    if (destroyed) throw new Error("Game was destroyed");
+    reset();
+    await placeBet(bet);
+
+    // In multi-pick mode the picks go in as batches of selectionLimit
+    const positions = positionsFromKeys(autoSelection);
+    const limit = engine.selectionLimit;
+    for (let i = 0; i < positions.length; i += limit) {
+      const revealed = positions.slice(i, i + limit).map(pickTile);
+      if (limit > 1 && !onCardSelected) engine.resolveSelection();
+      const faces = await Promise.all(revealed);
+      if (faces.includes(null)) throw new Error("Autobet round was interrupted");
+      if (faces.includes("bomb")) return { outcome: "loss", multiplier: 0, payout: 0 };
+      if (engine.getState().gameOver) break;
+    }
+
+    // Picking every safe tile ends the round on its own
+    const paid = await (engine.getState().gameOver ? lastPayout : cashOut());
+    if (!paid) throw new Error("Autobet round wasn't paid out");
+    return { outcome: "win", ...paid };
+  }
+
+  function destroy() {
+    destroyed = true;
+    autobet.stop();
+    releaseRevealWaiters();
+    events.emit("destroy", { state: getState() });
+    events.clear();
+    engine.destroy();
+  }
+
+  if (wallet) {
+    getBalance()
+      .then(() => emitChange())
+      .catch((e) => console.warn("wallet.getBalance failed", e));
+  }
+
+  return {
+    engine,
+    emit: events.emit,
+    emitChange,
+    getState,
+    canInteract,
+    activate,
+    isAutoSelected,
+    destroy,
+    // Methods both views expose unchanged
+    api: {
+      on: events.on,
+      off: events.off,
+      once: events.once,
+      reset,
+      setMines,
+      setGrid,
+      getState,
+      setBoardLayout,
+      placeBet,
+      getBalance,
+      cashOut,
+      setAutoSelectMode,
+      clearAutoSelection,
+      startAutobet,
+      stopAutobet,
+      setClientSeed,
+      getReplay,
+      playReplay,
+      getHistory,
+      getStats,
+      clearHistory,
+      setSelectedCardIsDiamond,
+      SetSelectedCardIsBomb,
+      resolveSelection,
+    },
+  };
+}
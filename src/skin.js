@@ -0,0 +1,219 @@
+// Skin packs: a JSON manifest of textures, the explosion spritesheet grid,
+// sounds and a palette, loaded in parallel with progress reporting.
+//
+//   {
+//     "name": "neon",
+//     "textures": { "diamond": "diamond.png", "bomb": "bomb.png", "explosion": "boom.png" },
+//     "explosion": { "cols": 7, "rows": 3, "fps": 24 },
+//     "sounds": { "tileTapped": "tap.ogg", "win": "win.ogg", "music": "loop.ogg" },
+//     "palette": { "appBg": "#101820", "tileBase": "#2f4553" }
+//   }
+//
+// Relative urls resolve against the manifest's url (or `baseUrl` for inline
+// manifests). Every part is optional; anything left out keeps the defaults.
+
+import { Assets } from "pixi.js";
+import { DEFAULT_THEME, toCssColor } from "./theme.js";
+
+export const SKIN_TEXTURES = ["diamond", "bomb", "explosion"];
+export const SKIN_SOUNDS = [
+  "tileTapped",
+  "tileSelected",
+  "tileFlip",
+  "tileHover",
+  "diamondRevealed",
+  "bombRevealed",
+  "win",
+  "gameStart",
+  "music",
+];
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function resolveUrl(path, base) {
+  try {
+    return new URL(path, base).href;
+  } catch {
+    return path;
+  }
+}
+
+function pageUrl() {
+  return typeof document !== "undefined" ? document.baseURI : undefined;
+}
+
+// Throws an Error naming the first bad or unknown entry
+export function validateSkinManifest(manifest) {
+  const name = isPlainObject(manifest) ? manifest.name ?? "unnamed" : "unnamed";
+  const fail = (message) => {
+    throw new Error(`skin "${name}": ${message}`);
+  };
+  if (!isPlainObject(manifest)) fail("manifest must be an object");
+
+  const checkUrls = (group, known, kind) => {
+    if (group === undefined) return;
+    if (!isPlainObject(group)) fail(`"${kind}s" must be an object`);
+    for (const [key, url] of Object.entries(group)) {
+      if (!known.includes(key)) {
+        fail(`unknown ${kind} "${key}" (expected one of ${known.join(", ")})`);
+      }
+      if (typeof url !== "string" || !url) fail(`${kind} "${key}" has no url`);
+    }
+  };
+  checkUrls(manifest.textures, SKIN_TEXTURES, "texture");
+  checkUrls(manifest.sounds, SKIN_SOUNDS, "sound");
+
+  const { explosion, palette } = manifest;
+  if (explosion !== undefined) {
+    if (!isPlainObject(explosion)) fail(`"explosion" must be an object`);
+    for (const key of ["cols", "rows", "fps"]) {
+      const value = explosion[key];
+      if (value !== undefined && !(Number.isInteger(value) && value > 0)) {
+        fail(`explosion.${key} must be a positive integer`);
+      }
+    }
+  }
+  if (palette !== undefined) {
+    if (!isPlainObject(palette)) fail(`"palette" must be an object`);
+    for (const [key, value] of Object.entries(palette)) {
+      if (!(key in DEFAULT_THEME)) fail(`unknown palette color "${key}"`);
+      if (typeof value !== "number" && typeof value !== "string") {
+        fail(`palette color "${key}" must be a number or a string`);
+      }
+    }
+  }
+  return manifest;
+}
+
+// Validated skin with absolute urls
+function normalizeSkin(manifest, baseUrl) {
+  validateSkinManifest(manifest);
+  const resolveAll = (group = {}) =>
+    Object.fromEntries(
+      Object.entries(group).map(([key, url]) => [key, resolveUrl(url, baseUrl)])
+    );
+  return {
+    name: manifest.name ?? "unnamed",
+    textures: resolveAll(manifest.textures),
+    explosion: { ...manifest.explosion },
+    sounds: resolveAll(manifest.sounds),
+    palette: manifest.palette ? { ...manifest.palette } : null,
+  };
+}
+
+// skin: manifest url, manifest object or null (no skin)
+export async function loadSkin(skin) {
+  if (!skin) return null;
+  if (typeof skin !== "string") {
+    return normalizeSkin(skin, resolveUrl(skin.baseUrl ?? "./", pageUrl()));
+  }
+
+  const url = resolveUrl(skin, pageUrl());
+  let manifest;
+  try {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    manifest = await response.json();
+  } catch (e) {
+    throw new Error(`skin: could not load manifest ${url} (${e.message})`);
+  }
+  return normalizeSkin(manifest, url);
+}
+
+let bundleCount = 0;
+
+// Loads textures ({ name: url }, empty urls skipped) as one Assets bundle next
+// to the sounds. onProgress(0..1) counts every texture and sound.
+// Resolves with { textures, errors }; errors are [{ asset, url, error }] so a
+// failed asset can be reported by name while the rest is still used.
+export async function loadSkinAssets({
+  textures = {},
+  soundCount = 0,
+  loadSounds = async () => {},
+  onProgress,
+}) {
+  const entries = Object.entries(textures).filter(([, url]) => Boolean(url));
+  const total = entries.length + soundCount;
+  let textureProgress = 0;
+  let soundsLoaded = 0;
+  const report = () => {
+    const done = textureProgress * entries.length + soundsLoaded;
+    onProgress?.(total ? Math.min(1, done / total) : 1);
+  };
+  report();
+
+  const loadTextures = async () => {
+    if (!entries.length) return { textures: {}, errors: [] };
+    const bundle = `mines-skin-${++bundleCount}`;
+    Assets.addBundle(bundle, Object.fromEntries(entries));
+    try {
+      const loaded = await Assets.loadBundle(bundle, (p) => {
+        textureProgress = p;
+        report();
+      });
+      return { textures: loaded, errors: [] };
+    } catch {
+      // Find out which ones failed; the rest come from the cache
+      const results = await Promise.allSettled(entries.map(([, url]) => Assets.load(url)));
+      const loaded = {};
+      const errors = [];
+      results.forEach((result, i) => {
+        const [asset, url] = entries[i];
+        if (result.status === "fulfilled") loaded[asset] = result.value;
+        else errors.push({ asset, url, error: result.reason });
+      });
+      textureProgress = 1;
+      report();
+      return { textures: loaded, errors };
+    }
+  };
+
+  const [result] = await Promise.all([
+    loadTextures(),
+    loadSounds(() => {
+      soundsLoaded += 1;
+      report();
+    }),
+  ]);
+  return result;
+}
+
+// Thin progress bar shown in the mount element while assets load
+export function createLoadingBar(root, theme) {
+  const el = document.createElement("div");
+  el.className = "mines-loading";
+  el.setAttribute("role", "progressbar");
+  el.setAttribute("aria-valuemin", "0");
+  el.setAttribute("aria-valuemax", "100");
+  Object.assign(el.style, {
+    position: "absolute",
+    left: "10%",
+    right: "10%",
+    top: "50%",
+    height: "6px",
+    borderRadius: "3px",
+    overflow: "hidden",
+    background: toCssColor(theme.tileBase),
+    zIndex: 1,
+  });
+  const fill = document.createElement("div");
+  Object.assign(fill.style, {
+    width: "0%",
+    height: "100%",
+    background: toCssColor(theme.popupBorder),
+    transition: "width 120ms linear",
+  });
+  el.appendChild(fill);
+  root.appendChild(el);
+
+  return {
+    set(progress) {
+      const percent = Math.round(Math.max(0, Math.min(1, progress)) * 100);
+      fill.style.width = `${percent}%`;
+      el.setAttribute("aria-valuenow", `${percent}`);
+    },
+    destroy: () => el.remove(),
+  };
+}
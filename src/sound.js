@@ -0,0 +1,223 @@
+// Sound effects and background music on top of @pixi/sound.
+// Master volume, mute and per-effect volumes are persisted to localStorage;
+// playback pauses while the tab is hidden.
+
+const ALIAS_PREFIX = "mines.";
+const MUSIC_KEY = "music";
+
+function clampVolume(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.max(0, Math.min(1, n)) : 1;
+}
+
+// Stand-in when @pixi/sound can't be loaded.
+// Must call the loaded callbacks to prevent hanging!
+export const SILENT_SOUND = {
+  add: (alias, options) => {
+    if (options && options.loaded) {
+      setTimeout(() => options.loaded(), 0);
+    }
+  },
+  play: () => {},
+  stop: () => {},
+  exists: () => false,
+  volume: () => {},
+  pauseAll: () => {},
+  resumeAll: () => {},
+};
+
+export function createSoundManager({
+  sound = SILENT_SOUND,
+  paths = {}, // effect key -> url; empty paths are disabled
+  musicPath = null,
+  volume = 1,
+  muted = false,
+  effectVolumes = {},
+  storageKey = "mines.sound",
+  storage = globalThis.localStorage,
+  hoverThrottle = 80, // ms between two tileHover sounds
+} = {}) {
+  const allPaths = { ...paths, [MUSIC_KEY]: musicPath };
+  const enabledKeys = new Set(
+    Object.entries(allPaths)
+      .filter(([, path]) => Boolean(path))
+      .map(([key]) => key)
+  );
+
+  const settings = {
+    volume: clampVolume(volume),
+    muted: Boolean(muted),
+    effects: {},
+  };
+  for (const [key, v] of Object.entries(effectVolumes)) {
+    settings.effects[key] = clampVolume(v);
+  }
+  Object.assign(settings, loadSettings());
+
+  let hidden = typeof document !== "undefined" && document.hidden;
+  let lastHoverAt = 0;
+  let musicPlaying = false;
+
+  function loadSettings() {
+    if (!storageKey || !storage) return {};
+    try {
+      const saved = JSON.parse(storage.getItem(storageKey) ?? "null");
+      if (!saved) return {};
+      return {
+        volume: clampVolume(saved.volume),
+        muted: Boolean(saved.muted),
+        effects: { ...settings.effects, ...saved.effects },
+      };
+    } catch (e) {
+      console.warn("sound: could not read saved settings", e);
+      return {};
+    }
+  }
+
+  function saveSettings() {
+    if (!storageKey || !storage) return;
+    try {
+      storage.setItem(storageKey, JSON.stringify(settings));
+    } catch (e) {
+      console.warn("sound: could not save settings", e);
+    }
+  }
+
+  function aliasOf(key) {
+    return `${ALIAS_PREFIX}${key}`;
+  }
+
+  function volumeOf(key) {
+    if (settings.muted) return 0;
+    return settings.volume * (settings.effects[key] ?? 1);
+  }
+
+  function loadOne(key) {
+    const alias = aliasOf(key);
+    if (sound.exists?.(alias)) return Promise.resolve();
+
+    return new Promise((resolve) => {
+      sound.add(alias, {
+        url: allPaths[key],
+        preload: true,
+        loaded: resolve,
+        // A missing sound only stays silent
+        error: (err) => {
+          console.warn(`sound: could not load "${key}" from ${allPaths[key]}`, err);
+          resolve();
+        },
+      });
+    });
+  }
+
+  // onLoaded(key) fires as each sound finishes (or fails)
+  async function load(onLoaded) {
+    await Promise.all(
+      [...enabledKeys].map((key) => loadOne(key).then(() => onLoaded?.(key)))
+    );
+  }
+
+  function play(key) {
+    if (!enabledKeys.has(key) || hidden) return;
+    const volume = volumeOf(key);
+    if (!volume) return;
+
+    if (key === "tileHover") {
+      const now = performance.now();
+      if (now - lastHoverAt < hoverThrottle) return;
+      lastHoverAt = now;
+    }
+
+    try {
+      sound.play(aliasOf(key), { volume });
+    } catch (err) {
+      // Ignore playback errors so they don't interrupt gameplay
+    }
+  }
+
+  function startMusic() {
+    if (!enabledKeys.has(MUSIC_KEY) || musicPlaying) return;
+    try {
+      sound.play(aliasOf(MUSIC_KEY), { loop: true, volume: volumeOf(MUSIC_KEY) });
+      musicPlaying = true;
+    } catch (err) {
+      // Music is optional
+    }
+  }
+
+  function stopMusic() {
+    if (!musicPlaying) return;
+    musicPlaying = false;
+    try {
+      sound.stop(aliasOf(MUSIC_KEY));
+    } catch {}
+  }
+
+  // Pushes the current volume to the looping music track
+  function applyMusicVolume() {
+    if (!musicPlaying) return;
+    try {
+      sound.volume(aliasOf(MUSIC_KEY), volumeOf(MUSIC_KEY));
+    } catch {}
+  }
+
+  function update(change) {
+    Object.assign(settings, change);
+    applyMusicVolume();
+    saveSettings();
+  }
+
+  function setVolume(v) {
+    update({ volume: clampVolume(v) });
+  }
+
+  function setMuted(on) {
+    update({ muted: Boolean(on) });
+  }
+
+  // key is an effect name (e.g. "tileHover") or "music"
+  function setEffectVolume(key, v) {
+    if (!(key in allPaths)) throw new Error(`setEffectVolume: unknown sound "${key}"`);
+    update({ effects: { ...settings.effects, [key]: clampVolume(v) } });
+  }
+
+  function getSettings() {
+    return {
+      volume: settings.volume,
+      muted: settings.muted,
+      effects: { ...settings.effects },
+    };
+  }
+
+  function onVisibilityChange() {
+    hidden = document.hidden;
+    try {
+      if (hidden) sound.pauseAll();
+      else sound.resumeAll();
+    } catch {}
+  }
+  if (typeof document !== "undefined") {
+    document.addEventListener("visibilitychange", onVisibilityChange);
+  }
+
+  function destroy() {
+    stopMusic();
+    if (typeof document !== "undefined") {
+      document.removeEventListener("visibilitychange", onVisibilityChange);
+    }
+  }
+
+  return {
+    load,
+    play,
+    startMusic,
+    stopMusic,
+    setVolume,
+    setMuted,
+    setEffectVolume,
+    getSettings,
+    isMuted: () => settings.muted,
+    keys: () => [...enabledKeys],
+    destroy,
+  };
+}
@@ -0,0 +1,141 @@
+// Themes for the Pixi board and the DOM fallback.
+// A theme is a flat object of colors (0xRRGGBB numbers or "#rrggbb" strings)
+// plus fontFamily. Pass a preset name or a partial object; missing keys come
+// from the classic theme.
+
+const CLASSIC = {
+  appBg: 0x0b1a22, // page/canvas background
+  tileBase: 0xe3e552, // main tile face
+  tileInset: 0xe3e552, // inner inset
+  tileStroke: 0x161616, // subtle outline
+  hover: 0xdfe0ac, // hover
+  pressedTint: 0x7a7a7a,
+  defaultTint: 0xffffff,
+  bombA: 0x721c26,
+  bombAUnrevealed: 0x26090c,
+  bombB: 0x5a0f16,
+  bombBUnrevealed: 0x2d070b,
+  safeA: 0x163d2b,
+  safeAUnrevealed: 0x081610,
+  safeB: 0x103526,
+  safeBUnrevealed: 0x081c13,
+  autoSelected: 0x9b6dff, // tile picked for autobet
+  focusRing: 0xffffff, // keyboard focus outline
+  popupBorder: 0x13d672,
+  popupBg: 0x0f2b1a,
+  popupMultiplier: 0x69ffad,
+  popupAmount: 0xffffff,
+  popupCoin: 0xf6a821,
+  popupCoinText: 0xffffff,
+  fontFamily: "Inter, system-ui, -apple-system, Segoe UI, Arial",
+};
+
+export const THEME_PRESETS = {
+  classic: CLASSIC,
+  midnight: {
+    ...CLASSIC,
+    appBg: 0x0f1923,
+    tileBase: 0x2f4553,
+    tileInset: 0x2f4553,
+    tileStroke: 0x0b131a,
+    hover: 0x557086,
+    bombA: 0x8a1f2d,
+    bombB: 0x6b1621,
+    safeA: 0x1f3b57,
+    safeAUnrevealed: 0x0c1a27,
+    safeB: 0x17304a,
+    safeBUnrevealed: 0x0e1d2c,
+    popupBorder: 0x00e701,
+    popupBg: 0x1a2c38,
+    popupMultiplier: 0x00e701,
+  },
+  sunset: {
+    ...CLASSIC,
+    appBg: 0x2a1027,
+    tileBase: 0xff9f5a,
+    tileInset: 0xff8a3d,
+    tileStroke: 0x3b1231,
+    hover: 0xffc08f,
+    safeA: 0x5b2a6e,
+    safeAUnrevealed: 0x220d29,
+    safeB: 0x4a1f5c,
+    safeBUnrevealed: 0x1c0a22,
+    popupBorder: 0xff9f5a,
+    popupBg: 0x3b1231,
+    popupMultiplier: 0xffc08f,
+  },
+  light: {
+    ...CLASSIC,
+    appBg: 0xf2f4f7,
+    tileBase: 0xffffff,
+    tileInset: 0xf5f6f8,
+    tileStroke: 0xc7ccd4,
+    hover: 0xe6ebf2,
+    pressedTint: 0xb0b0b0,
+    bombA: 0xf2b8bf,
+    bombAUnrevealed: 0xf7dfe2,
+    bombB: 0xeca0a9,
+    bombBUnrevealed: 0xf3d2d6,
+    safeA: 0xb9ecd2,
+    safeAUnrevealed: 0xe1f6eb,
+    safeB: 0xa3e4c3,
+    safeBUnrevealed: 0xd6f2e4,
+    focusRing: 0x1f6feb,
+    popupBorder: 0x13b863,
+    popupBg: 0xffffff,
+    popupMultiplier: 0x0f8f4c,
+    popupAmount: 0x1d1d1d,
+  },
+};
+
+export const DEFAULT_THEME = CLASSIC;
+
+export function resolveTheme(theme, overrides = {}) {
+  let base = theme;
+  if (typeof theme === "string") {
+    base = THEME_PRESETS[theme];
+    if (!base) throw new Error(`theme: unknown preset "${theme}"`);
+  }
+
+  const resolved = { ...DEFAULT_THEME, ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value != null) resolved[key] = value;
+  }
+  return resolved;
+}
+
+export function toCssColor(color) {
+  if (typeof color === "number") {
+    return `#${color.toString(16).padStart(6, "0")}`;
+  }
+  return `${color}`;
+}
+
+// CSS custom properties for the DOM fallback (see .fallback-* in style.css)
+export function themeToCssVariables(theme) {
+  return {
+    "--mines-bg": toCssColor(theme.appBg),
+    "--mines-tile": toCssColor(theme.tileBase),
+    "--mines-tile-hover": toCssColor(theme.hover),
+    "--mines-tile-stroke": toCssColor(theme.tileStroke),
+    "--mines-bomb": toCssColor(theme.bombB),
+    "--mines-bomb-unrevealed": toCssColor(theme.bombBUnrevealed),
+    "--mines-safe": toCssColor(theme.safeA),
+    "--mines-safe-unrevealed": toCssColor(theme.safeAUnrevealed),
+    "--mines-auto-selected": toCssColor(theme.autoSelected),
+    "--mines-focus": toCssColor(theme.focusRing),
+    "--mines-popup-border": toCssColor(theme.popupBorder),
+    "--mines-popup-bg": toCssColor(theme.popupBg),
+    "--mines-popup-multiplier": toCssColor(theme.popupMultiplier),
+    "--mines-popup-amount": toCssColor(theme.popupAmount),
+    "--mines-popup-coin": toCssColor(theme.popupCoin),
+    "--mines-popup-coin-text": toCssColor(theme.popupCoinText),
+    "--mines-font": theme.fontFamily,
+  };
+}
+
+export function applyThemeToElement(el, theme) {
+  for (const [name, value] of Object.entries(themeToCssVariables(theme))) {
+    el.style.setProperty(name, value);
+  }
+}
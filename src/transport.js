@@ -0,0 +1,132 @@
+// Client side of the server-authoritative round API in server.js.
+// createServerTransport() wraps the JSON endpoints; createServerBinding()
+// plugs them into createMinesGame so every outcome, and the multiplier wins
+// and cash-outs are paid at, is decided by the server.
+
+export function createServerTransport({
+  baseUrl = "/api",
+  fetch: fetchFn = globalThis.fetch.bind(globalThis),
+} = {}) {
+  async function request(method, url, body) {
+    const res = await fetchFn(`${baseUrl}${url}`, {
+      method,
+      headers: body ? { "Content-Type": "application/json" } : undefined,
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      throw new Error(data.error ?? `Request failed with status ${res.status}`);
+    }
+    return data;
+  }
+
+  return {
+    startRound: ({ grid, mines, clientSeed }) =>
+      request("POST", "/rounds", { grid, mines, clientSeed }),
+    revealTile: (roundId, { row, col }) =>
+      request("POST", `/rounds/${roundId}/reveal`, { row, col }),
+    cashOut: (roundId) => request("POST", `/rounds/${roundId}/cashout`),
+    getHistory: () => request("GET", "/rounds"),
+  };
+}
+
+// Usage:
+//   const binding = createServerBinding(createServerTransport());
+//   const game = await createMinesGame("#mines", { ...opts, ...binding.options });
+//   binding.attach(game);
+export function createServerBinding(transport, { clientSeed, onError } = {}) {
+  let game = null;
+  let board = 0; // bumped on every roundStart; answers for older boards are dropped
+  let starting = null; // startRound() promise of the current board
+  let round = null; // latest response for the current board's server round
+  let ending = null; // promise of the response that finished it
+  let queue = Promise.resolve(); // reveals go out one at a time, in pick order
+
+  function fail(e) {
+    console.error("Server round request failed", e);
+    onError?.(e);
+  }
+
+  // Picks waiting for an answer that won't come would block the board, so
+  // it starts over; the placed stake stays on it and the next pick opens a
+  // new server round
+  function abandonBoard(pickBoard) {
+    if (pickBoard !== board) return;
+    starting = null;
+    round = null;
+    game.reset();
+  }
+
+  // Each board gets exactly one server round, opened by its first pick
+  function serverRound() {
+    if (!starting) {
+      const { grid, mines } = game.getState();
+      starting = transport.startRound({ grid, mines, clientSeed });
+    }
+    return starting;
+  }
+
+  function onCardSelected({ row, col }) {
+    if (!game) return;
+    const pickBoard = board;
+    const started = serverRound();
+    queue = queue
+      .then(async () => {
+        const { roundId } = await started;
+        // Picks still queued behind a bomb have nothing left to reveal
+        if (pickBoard !== board || (round && round.status !== "active")) return;
+        const response = await transport.revealTile(roundId, { row, col });
+        if (pickBoard !== board) return;
+
+        round = response;
+        game.resolveSelection([{ row, col, face: response.face }]);
+        if (response.bombPositions) game.setBoardLayout(response.bombPositions);
+      })
+      .catch((e) => {
+        fail(e);
+        abandonBoard(pickBoard);
+      });
+  }
+
+  // Server response of the finished round: the reveal that ended it, or the
+  // cash-out sent for it. Shared by onRoundEnd and payoutMultiplier.
+  function finishedRound() {
+    if (!ending) {
+      ending = queue.then(async () => {
+        if (round?.status === "active") {
+          round = await transport.cashOut(round.roundId);
+        }
+        if (!round || round.status === "active") {
+          throw new Error("The server round isn't over");
+        }
+        return round;
+      });
+      ending.catch(fail);
+    }
+    return ending;
+  }
+
+  // Called by the game for the mine layout once the round is over
+  async function onRoundEnd() {
+    return (await finishedRound()).bombPositions;
+  }
+
+  // Wins and cash-outs are paid at the server's multiplier
+  async function payoutMultiplier() {
+    return (await finishedRound()).multiplier;
+  }
+
+  return {
+    options: { onCardSelected, onRoundEnd, payoutMultiplier },
+    attach(g) {
+      game = g;
+      game.on("roundStart", () => {
+        board += 1;
+        starting = null;
+        round = null;
+        ending = null;
+      });
+    },
+    getRound: () => round,
+  };
+}
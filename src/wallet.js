@@ -0,0 +1,58 @@
+// Bet/balance wallets.
+//
+// A wallet is any object with these async methods, so a real backend only
+// needs a thin adapter:
+//   placeBet(amount, currency) -> { roundId, amount, currency, balance }
+//   settle(roundId, payout)    -> { balance }
+//   getBalance()               -> { amount, currency }
+// The game debits the stake with placeBet() before a round and credits the
+// payout (0 on a loss) with settle() once the round is over.
+
+const WALLET_METHODS = ["placeBet", "settle", "getBalance"];
+
+export function assertWallet(wallet) {
+  const missing = WALLET_METHODS.filter(
+    (name) => typeof wallet?.[name] !== "function"
+  );
+  if (missing.length) {
+    throw new Error(`wallet: missing method(s) ${missing.join(", ")}`);
+  }
+  return wallet;
+}
+
+// In-memory wallet for demos and local play
+export function createDemoWallet({ balance = 1000, currency = "BTC" } = {}) {
+  let amount = balance;
+  let nextRoundId = 1;
+  const openBets = new Map();
+
+  async function placeBet(stake, betCurrency = currency) {
+    if (betCurrency !== currency) {
+      throw new Error(`wallet: unsupported currency ${betCurrency}`);
+    }
+    if (!(stake >= 0) || !Number.isFinite(stake)) {
+      throw new Error(`wallet: invalid bet amount ${stake}`);
+    }
+    if (stake > amount) throw new Error("wallet: insufficient balance");
+
+    amount -= stake;
+    const roundId = `demo-${nextRoundId++}`;
+    openBets.set(roundId, stake);
+    return { roundId, amount: stake, currency, balance: amount };
+  }
+
+  async function settle(roundId, payout) {
+    if (!openBets.has(roundId)) {
+      throw new Error(`wallet: unknown or settled round ${roundId}`);
+    }
+    openBets.delete(roundId);
+    amount += Math.max(0, payout);
+    return { balance: amount };
+  }
+
+  async function getBalance() {
+    return { amount, currency };
+  }
+
+  return { placeBet, settle, getBalance };
+}
@@ -0,0 +1,384 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMinesEngine, STATES, REPLAY_VERSION } from "../src/engine.js";
+import { driveReplay } from "../src/replay.js";
+import { verifyRound } from "../src/fair.js";
+import { computeMultiplier } from "../src/payout.js";
+
+const hostEngine = (opts) =>
+  createMinesEngine({ grid: 3, mines: 1, outcomeSource: "host", ...opts });
+
+const nextEvent = (engine, name) => new Promise((resolve) => engine.once(name, resolve));
+
+function recordStates(engine) {
+  const states = [];
+  engine.on("state", ({ to }) => states.push(to));
+  return states;
+}
+
+// State transitions
+
+test("a host pick moves through awaiting-outcome and revealing back to idle", () => {
+  const engine = hostEngine();
+  const states = recordStates(engine);
+
+  assert.equal(engine.pick(0, 0), true);
+  assert.equal(engine.status, STATES.AWAITING_OUTCOME);
+  assert.deepEqual(engine.getState().selectedTile, { row: 0, col: 0 });
+  assert.equal(engine.resolveOutcome("diamond"), true);
+
+  assert.deepEqual(states, [STATES.AWAITING_OUTCOME, STATES.REVEALING, STATES.IDLE]);
+  assert.equal(engine.getState().revealedSafe, 1);
+  assert.equal(engine.getFace(0, 0), "diamond");
+});
+
+test("with waitForView a reveal only counts once the view finishes it", () => {
+  const engine = hostEngine({ waitForView: true });
+
+  engine.pick(0, 0);
+  engine.resolveOutcome("diamond");
+  assert.equal(engine.status, STATES.REVEALING);
+
+  // The next pick may go in while the first tile is still flipping
+  assert.equal(engine.pick(0, 1), true);
+  assert.equal(engine.getState().revealedSafe, 0);
+
+  assert.equal(engine.finishReveal(0, 0), true);
+  assert.equal(engine.getState().revealedSafe, 1);
+  assert.equal(engine.status, STATES.AWAITING_OUTCOME);
+  assert.equal(engine.finishReveal(0, 0), false);
+});
+
+test("a bomb loses the round and stops further picks", () => {
+  const engine = hostEngine();
+  const ended = [];
+  engine.on("roundEnd", ({ status }) => ended.push(status));
+
+  engine.pick(1, 1);
+  engine.resolveOutcome("bomb");
+
+  assert.deepEqual(ended, [STATES.LOST]);
+  assert.equal(engine.getState().gameOver, true);
+  assert.equal(engine.canPick(0, 0), false);
+  assert.equal(engine.pick(0, 0), false);
+  assert.equal(engine.cashOut(), null);
+  assert.deepEqual(engine.getState().bombPositions, [{ row: 1, col: 1 }]);
+});
+
+test("revealing every safe tile wins at the full multiplier", () => {
+  const engine = hostEngine({ grid: 3, mines: 7 });
+
+  engine.pick(0, 0);
+  engine.resolveOutcome("diamond");
+  engine.pick(0, 1);
+  engine.resolveOutcome("diamond");
+
+  assert.equal(engine.status, STATES.WON);
+  assert.equal(
+    engine.getState().currentMultiplier,
+    computeMultiplier({ grid: 3, mines: 7, revealed: 2 })
+  );
+});
+
+test("setMines and setGrid clamp and start a new round", () => {
+  const engine = hostEngine();
+  let resets = 0;
+  engine.on("reset", () => resets++);
+
+  engine.pick(0, 0);
+  engine.setGrid(20);
+  assert.equal(engine.grid, 8);
+  assert.equal(engine.status, STATES.IDLE);
+  engine.setMines(100);
+  assert.equal(engine.mines, 63);
+  engine.setGrid(1);
+  assert.equal(engine.grid, 3);
+  assert.equal(resets, 3);
+});
+
+// Cash-out
+
+test("cash-out needs a revealed diamond and an idle board", () => {
+  const engine = hostEngine({ grid: 4, mines: 3, waitForView: true });
+
+  assert.equal(engine.canCashOut(), false);
+  assert.equal(engine.cashOut(), null);
+
+  engine.pick(0, 0);
+  engine.resolveOutcome("diamond");
+  assert.equal(engine.cashOut(), null); // still revealing
+  engine.finishReveal(0, 0);
+
+  const layout = nextEvent(engine, "layout");
+  const result = engine.cashOut();
+  assert.deepEqual(result, {
+    multiplier: computeMultiplier({ grid: 4, mines: 3, revealed: 1 }),
+  });
+  assert.equal(engine.status, STATES.CASHED_OUT);
+  assert.equal(engine.getState().cashedOut, true);
+  assert.equal(engine.pick(1, 1), false);
+
+  // Without a host layout the remaining mines are placed among unseen tiles
+  const { bombPositions } = engine.getState();
+  assert.equal(bombPositions.length, 3);
+  assert.ok(!bombPositions.some(({ row, col }) => row === 0 && col === 0));
+  return layout;
+});
+
+test("onRoundEnd supplies the layout after a cash-out", async () => {
+  const positions = [{ row: 2, col: 2 }];
+  const engine = hostEngine({ onRoundEnd: async () => positions });
+
+  engine.pick(0, 0);
+  engine.resolveOutcome("diamond");
+  const layout = nextEvent(engine, "layout");
+  engine.cashOut();
+  assert.equal(engine.getState().bombPositions, null);
+
+  assert.deepEqual((await layout).bombPositions, positions);
+  assert.deepEqual(engine.getState().bombPositions, positions);
+});
+
+// Layout validation
+
+test("setBoardLayout rejects layouts that don't fit the round", () => {
+  const engine = hostEngine({ grid: 3, mines: 2 });
+  engine.pick(0, 0);
+  engine.resolveOutcome("diamond");
+
+  const rejects = (positions, message) =>
+    assert.throws(() => engine.setBoardLayout(positions), message);
+  rejects(null, /must be an array/);
+  rejects([{ row: 1, col: 1 }], /expected 2 bomb positions, got 1/);
+  rejects([{ row: 1, col: 1 }, { row: 3, col: 0 }], /outside the 3x3 grid/);
+  rejects([{ row: 1, col: 1 }, { row: 1.5, col: 0 }], /outside the 3x3 grid/);
+  rejects([{ row: 1, col: 1 }, { row: 1, col: 1 }], /duplicate bomb position 1,1/);
+  rejects([{ row: 0, col: 0 }, { row: 1, col: 1 }], /0,0 was revealed as a diamond/);
+
+  engine.setBoardLayout([{ row: 1, col: 1 }, { row: 2, col: 2 }]);
+  engine.pick(1, 1);
+  engine.resolveOutcome("bomb");
+  assert.deepEqual(engine.getState().bombPositions, [
+    { row: 1, col: 1 },
+    { row: 2, col: 2 },
+  ]);
+  rejects([{ row: 1, col: 1 }, { row: 2, col: 1 }], /already been revealed/);
+});
+
+test("a host layout that contradicts the revealed bomb is dropped", (t) => {
+  t.mock.method(console, "error", () => {});
+  const engine = hostEngine({ grid: 3, mines: 1 });
+
+  engine.setBoardLayout([{ row: 2, col: 2 }]);
+  engine.pick(0, 0);
+  engine.resolveOutcome("bomb");
+
+  assert.deepEqual(engine.getState().bombPositions, [{ row: 0, col: 0 }]);
+});
+
+// Multi-pick
+
+test("multi-pick batches resolve together in pick order", () => {
+  const engine = hostEngine({ grid: 4, mines: 2, selectionLimit: 3, waitForView: true });
+  const outcomes = [];
+  engine.on("outcome", (event) => outcomes.push(event));
+
+  assert.equal(engine.pick(0, 0), true);
+  assert.equal(engine.pick(0, 1), true);
+  assert.equal(engine.pick(0, 2), true);
+  assert.equal(engine.pick(0, 3), false);
+  assert.equal(engine.getState().selectedTiles.length, 3);
+
+  // Only picked tiles, each once, with a known face
+  assert.equal(engine.resolveSelection([{ row: 1, col: 1, face: "diamond" }]), false);
+  assert.equal(
+    engine.resolveSelection([
+      { row: 0, col: 0, face: "diamond" },
+      { row: 0, col: 0, face: "diamond" },
+    ]),
+    false
+  );
+  assert.equal(engine.resolveSelection([{ row: 0, col: 0, face: "gold" }]), false);
+  assert.equal(engine.resolveSelection([]), false);
+
+  assert.equal(
+    engine.resolveSelection([
+      { row: 0, col: 0, face: "diamond" },
+      { row: 0, col: 1, face: "diamond" },
+    ]),
+    true
+  );
+  assert.deepEqual(
+    outcomes.map(({ row, col, batchIndex }) => [row, col, batchIndex]),
+    [
+      [0, 0, 0],
+      [0, 1, 1],
+    ]
+  );
+  assert.deepEqual(engine.getState().selectedTiles, [{ row: 0, col: 2 }]);
+
+  engine.resolveSelection([{ row: 0, col: 2, face: "bomb" }]);
+  engine.finishReveal(0, 0);
+  assert.equal(engine.getState().gameOver, true); // a bomb is on its way
+  assert.equal(engine.pick(1, 0), false);
+  engine.finishReveal(0, 2);
+  assert.equal(engine.status, STATES.LOST);
+  // The rest of the batch still flips
+  assert.equal(engine.finishReveal(0, 1), true);
+});
+
+// Provably-fair rounds
+
+test("fair rounds resolve picks from the seed and refuse host outcomes", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const engine = createMinesEngine({ grid: 5, mines: 24, clientSeed: "fair" });
+  await nextEvent(engine, "fairness");
+
+  const ended = nextEvent(engine, "roundEnd");
+  engine.pick(0, 0);
+  assert.equal(engine.resolveOutcome("diamond"), false);
+  assert.equal(engine.resolveSelection([{ row: 0, col: 0, face: "diamond" }]), false);
+  const { status } = await ended;
+
+  const state = engine.getState();
+  const face = engine.getFace(0, 0);
+  assert.equal(face, engine.isBomb(0, 0) ? "bomb" : "diamond");
+  assert.equal(status, face === "bomb" ? STATES.LOST : STATES.WON);
+
+  const { valid } = await verifyRound({
+    ...state.fairness,
+    grid: 5,
+    mines: 24,
+    bombPositions: state.bombPositions,
+  });
+  assert.equal(valid, true);
+});
+
+test("verifyRound needs the published hash to call a round valid", async () => {
+  const round = { serverSeed: "seed", clientSeed: "client", nonce: 0, grid: 5, mines: 3 };
+  const checked = await verifyRound(round);
+  assert.equal(checked.hashMatches, null);
+  assert.equal(checked.valid, false);
+
+  const published = await verifyRound({ ...round, serverSeedHash: checked.serverSeedHash });
+  assert.equal(published.hashMatches, true);
+  assert.equal(published.valid, true);
+
+  const forged = await verifyRound({ ...round, serverSeedHash: "0".repeat(64) });
+  assert.equal(forged.hashMatches, false);
+  assert.equal(forged.valid, false);
+});
+
+test("fair multi-pick rounds reveal the whole selection at once", async () => {
+  const engine = createMinesEngine({ grid: 3, mines: 1, selectionLimit: 2, clientSeed: "batch" });
+  const outcomes = [];
+  engine.on("outcome", (event) => outcomes.push(event));
+
+  engine.pick(0, 0);
+  engine.pick(0, 1);
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.equal(outcomes.length, 0);
+
+  assert.equal(engine.resolveSelection(), true);
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.deepEqual(
+    outcomes.map(({ row, col }) => [row, col]),
+    [
+      [0, 0],
+      [0, 1],
+    ]
+  );
+});
+
+test("fair rounds fail at creation without Web Crypto", (t) => {
+  const { crypto } = globalThis;
+  Object.defineProperty(globalThis, "crypto", {
+    value: { getRandomValues: crypto.getRandomValues.bind(crypto) },
+    configurable: true,
+  });
+  t.after(() => {
+    Object.defineProperty(globalThis, "crypto", { value: crypto, configurable: true });
+  });
+
+  assert.throws(() => createMinesEngine(), /Web Crypto API/);
+  assert.doesNotThrow(() => hostEngine());
+});
+
+// Replays
+
+async function replayOf(log, opts) {
+  const engine = createMinesEngine(opts);
+  engine.startReplay(JSON.parse(JSON.stringify(log)));
+  assert.equal(engine.replaying, true);
+  const finished = await driveReplay(engine, log, { speed: 1000 });
+  return { engine, finished };
+}
+
+test("a recorded host round replays to the same result", async () => {
+  const engine = hostEngine({ grid: 4, mines: 2 });
+  engine.setBoardLayout([{ row: 3, col: 3 }, { row: 2, col: 2 }]);
+  engine.pick(0, 0);
+  engine.resolveOutcome("diamond");
+  engine.pick(1, 2);
+  engine.resolveOutcome("diamond");
+  engine.cashOut();
+
+  const log = engine.getReplay();
+  assert.equal(log.version, REPLAY_VERSION);
+  assert.deepEqual(
+    log.events.map(({ type }) => type),
+    ["pick", "outcome", "pick", "outcome", "end"]
+  );
+
+  // Played back on a board with other settings
+  const { engine: replayed, finished } = await replayOf(log, {
+    grid: 6,
+    mines: 10,
+    outcomeSource: "host",
+  });
+  assert.equal(finished, true);
+  const state = replayed.getState();
+  assert.equal(state.status, STATES.CASHED_OUT);
+  assert.equal(state.grid, 4);
+  assert.equal(state.revealedSafe, 2);
+  assert.deepEqual(state.bombPositions, log.result.bombPositions);
+
+  // reset() goes back to the board from before the replay
+  replayed.reset();
+  assert.equal(replayed.grid, 6);
+  assert.equal(replayed.mines, 10);
+  assert.equal(replayed.replaying, false);
+});
+
+test("a recorded fair round replays on a fair engine", async () => {
+  const engine = createMinesEngine({ grid: 3, mines: 8, clientSeed: "replay" });
+  const ended = nextEvent(engine, "layout");
+  engine.pick(2, 2);
+  await ended;
+
+  const log = engine.getReplay();
+  const { engine: replayed, finished } = await replayOf(log, {});
+  assert.equal(finished, true);
+  assert.equal(replayed.status, engine.status);
+  assert.equal(replayed.getFace(2, 2), engine.getFace(2, 2));
+  assert.deepEqual(replayed.getState().bombPositions, engine.getState().bombPositions);
+});
+
+test("startReplay rejects logs it can't play", () => {
+  const engine = hostEngine();
+  const log = (patch) => ({
+    version: REPLAY_VERSION,
+    config: { grid: 3, mines: 1 },
+    events: [],
+    ...patch,
+  });
+
+  assert.throws(() => engine.startReplay(null), /unsupported replay version/);
+  assert.throws(() => engine.startReplay(log({ version: 99 })), /unsupported replay version 99/);
+  assert.throws(() => engine.startReplay(log({ config: { grid: 12, mines: 1 } })), /invalid board/);
+  assert.throws(
+    () => engine.startReplay(log({ config: { grid: 3, mines: 1, selectionLimit: 0 } })),
+    /invalid selection limit/
+  );
+  assert.throws(() => engine.startReplay(log({ events: {} })), /events must be an array/);
+});
@@ -0,0 +1,191 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createServer, createRoundStore } from "../server.js";
+import { createServerTransport, createServerBinding } from "../src/transport.js";
+import { createMinesSession } from "../src/session.js";
+import { verifyRound } from "../src/fair.js";
+import { computeMultiplier } from "../src/payout.js";
+
+let server;
+let baseUrl;
+let transport;
+
+before(async () => {
+  server = createServer({ logRequests: false });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+  transport = createServerTransport({ baseUrl });
+});
+
+after(() => {
+  server.closeAllConnections();
+  return new Promise((resolve) => server.close(resolve));
+});
+
+const tilesOf = (grid) =>
+  Array.from({ length: grid * grid }, (_, i) => ({
+    row: Math.floor(i / grid),
+    col: i % grid,
+  }));
+
+async function verify(round) {
+  return verifyRound({
+    serverSeed: round.serverSeed,
+    serverSeedHash: round.serverSeedHash,
+    clientSeed: round.clientSeed,
+    nonce: round.nonce,
+    grid: round.grid,
+    mines: round.mines,
+    bombPositions: round.bombPositions,
+  });
+}
+
+// Starts rounds until the first reveal is safe
+async function roundWithOneDiamond({ grid, mines, clientSeed }) {
+  for (;;) {
+    const started = await transport.startRound({ grid, mines, clientSeed });
+    const revealed = await transport.revealTile(started.roundId, { row: 0, col: 0 });
+    if (revealed.face === "diamond") return revealed;
+  }
+}
+
+test("a started round publishes the seed hash only", async () => {
+  const round = await transport.startRound({ grid: 5, mines: 3, clientSeed: "start" });
+
+  assert.equal(round.status, "active");
+  assert.equal(round.grid, 5);
+  assert.equal(round.mines, 3);
+  assert.equal(round.clientSeed, "start");
+  assert.match(round.serverSeedHash, /^[0-9a-f]{64}$/);
+  assert.equal(round.serverSeed, null);
+  assert.equal(round.bombPositions, null);
+  assert.deepEqual(round.revealed, []);
+});
+
+test("revealing until the round ends matches the verified layout", async () => {
+  const started = await transport.startRound({ grid: 4, mines: 5, clientSeed: "reveal" });
+
+  let round = started;
+  const faces = new Map();
+  for (const tile of tilesOf(4)) {
+    round = await transport.revealTile(started.roundId, tile);
+    faces.set(`${tile.row},${tile.col}`, round.face);
+    if (round.status !== "active") break;
+  }
+
+  assert.ok(["lost", "won"].includes(round.status));
+  assert.equal(round.serverSeedHash, started.serverSeedHash);
+  const { valid, bombPositions } = await verify(round);
+  assert.ok(valid);
+  const bombs = new Set(bombPositions.map(({ row, col }) => `${row},${col}`));
+  for (const [key, face] of faces) {
+    assert.equal(face, bombs.has(key) ? "bomb" : "diamond", `tile ${key}`);
+  }
+});
+
+test("cashing out pays the server multiplier and reveals the layout", async () => {
+  const revealed = await roundWithOneDiamond({ grid: 5, mines: 2, clientSeed: "cashout" });
+  const round = await transport.cashOut(revealed.roundId);
+
+  assert.equal(round.status, "cashed-out");
+  assert.equal(round.multiplier, computeMultiplier({ grid: 5, mines: 2, revealed: 1 }));
+  assert.equal((await verify(round)).valid, true);
+  await assert.rejects(
+    transport.revealTile(round.roundId, { row: 1, col: 1 }),
+    /already cashed-out/
+  );
+});
+
+test("history lists finished rounds, newest first", async () => {
+  const first = await roundWithOneDiamond({ grid: 3, mines: 1, clientSeed: "history" });
+  await transport.cashOut(first.roundId);
+  const second = await roundWithOneDiamond({ grid: 3, mines: 1, clientSeed: "history" });
+  await transport.cashOut(second.roundId);
+
+  const ids = (await transport.getHistory()).map((round) => round.roundId);
+  assert.ok(ids.indexOf(second.roundId) < ids.indexOf(first.roundId));
+  assert.ok(ids.indexOf(first.roundId) >= 0);
+});
+
+test("nonces count up per client seed", async () => {
+  const a = await transport.startRound({ grid: 3, mines: 1, clientSeed: "nonce" });
+  const b = await transport.startRound({ grid: 3, mines: 1, clientSeed: "nonce" });
+  assert.equal(b.nonce, a.nonce + 1);
+});
+
+test("the store forgets rounds that fall out of the history", async () => {
+  const store = createRoundStore({ historyLimit: 2 });
+  // One safe tile: the first reveal ends the round either way
+  const ids = [];
+  for (let i = 0; i < 3; i++) {
+    const { roundId } = await store.start({ grid: 3, mines: 8, clientSeed: "limit" });
+    store.reveal(roundId, { row: 0, col: 0 });
+    ids.push(roundId);
+  }
+
+  assert.deepEqual(store.history().map((round) => round.roundId), [ids[2], ids[1]]);
+  assert.throws(() => store.cashOut(ids[0]), { status: 404 });
+  assert.throws(() => store.cashOut(ids[1]), { status: 409 });
+});
+
+test("the store drops active rounds left idle", async () => {
+  let time = 0;
+  const store = createRoundStore({ idleTimeout: 1000, now: () => time });
+  const idle = await store.start({ grid: 3, mines: 1, clientSeed: "idle" });
+  const busy = await store.start({ grid: 3, mines: 1, clientSeed: "idle" });
+
+  time = 900;
+  store.reveal(busy.roundId, { row: 0, col: 0 });
+  time = 1500;
+  await store.start({ grid: 3, mines: 1, clientSeed: "idle" });
+
+  assert.throws(() => store.reveal(idle.roundId, { row: 0, col: 0 }), { status: 404 });
+  assert.throws(() => store.reveal(busy.roundId, { row: 0, col: 0 }), { status: 409 });
+});
+
+test("bad requests get 4xx answers", async () => {
+  const post = (url, body) =>
+    fetch(`${baseUrl}${url}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body,
+    });
+
+  for (const body of ["null", "[1, 2]", '"text"', "{"]) {
+    const res = await post("/rounds", body);
+    assert.equal(res.status, 400, `body ${body}`);
+  }
+  const started = await transport.startRound({ grid: 3, mines: 1 });
+  assert.equal((await post(`/rounds/${started.roundId}/reveal`, "null")).status, 400);
+  assert.equal((await post(`/rounds/${started.roundId}/reveal`, '{"row":3,"col":0}')).status, 400);
+  assert.equal((await post("/rounds/nope/reveal", '{"row":0,"col":0}')).status, 404);
+  assert.equal((await post(`/rounds/${started.roundId}/cashout`)).status, 409);
+  await assert.rejects(transport.startRound({ grid: 3, mines: 9 }), /Invalid mines/);
+});
+
+test("the binding plays a whole board against one server round", async () => {
+  const binding = createServerBinding(transport, { clientSeed: "binding" });
+  const session = createMinesSession({
+    grid: 3,
+    mines: 2,
+    selectionLimit: 7,
+    ...binding.options,
+  });
+  binding.attach(session.api);
+  const ended = new Promise((resolve) => session.api.on("change", (state) => {
+    if (state.gameOver && state.bombPositions) resolve(state);
+  }));
+
+  // Every safe tile is picked at once, before any answer has arrived
+  for (const { row, col } of tilesOf(3)) session.activate(row, col);
+  assert.equal(session.getState().selectedTiles.length, 7);
+  const state = await ended;
+  const round = binding.getRound();
+
+  assert.equal(state.status, round.status);
+  assert.deepEqual(state.bombPositions, round.bombPositions);
+  assert.equal((await verify(round)).valid, true);
+  const rounds = (await transport.getHistory()).filter((r) => r.clientSeed === "binding");
+  assert.equal(rounds.length, 1);
+  session.destroy();
+});
@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMinesSession } from "../src/session.js";
+
+// Host-decided session; (0, 0) is the only mine
+function hostSession(opts) {
+  const session = createMinesSession({
+    grid: 3,
+    mines: 1,
+    history: { storageKey: null },
+    onCardSelected: ({ row, col }) => {
+      if (row === 0 && col === 0) session.api.SetSelectedCardIsBomb();
+      else session.api.setSelectedCardIsDiamond();
+    },
+    ...opts,
+  });
+  return session;
+}
+
+// Stats as the HUD reads them on every change event
+test("change listeners see the streak of the finished rounds", () => {
+  const session = hostSession();
+  const streaks = [];
+  session.api.on("change", () => streaks.push(session.api.getStats().streak));
+
+  session.activate(1, 1);
+  session.api.cashOut();
+  assert.equal(session.api.getStats().streak, 1);
+
+  session.api.reset();
+  session.activate(2, 2);
+  session.api.cashOut();
+  assert.equal(session.api.getStats().streak, 2);
+
+  session.api.reset();
+  session.activate(0, 0);
+  const stats = session.api.getStats();
+  assert.equal(stats.streak, -1);
+  assert.equal(stats.rounds, 3);
+  assert.equal(stats.losses, 1);
+  assert.equal(streaks.at(-1), -1);
+  session.destroy();
+});
@@ -0,0 +1,147 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createServerBinding } from "../src/transport.js";
+import { createMinesSession } from "../src/session.js";
+import { createDemoWallet } from "../src/wallet.js";
+
+// Answers like server.js for a board whose only mine is at (0, 0). Its
+// multipliers are made up, so a payout shows whose multiplier it used.
+function fakeTransport({ failures = {} } = {}) {
+  const calls = { startRound: 0, revealTile: 0, cashOut: 0 };
+  const layout = [{ row: 0, col: 0 }];
+  let revealed = 0;
+
+  function call(name, answer) {
+    calls[name] += 1;
+    if (failures[name]?.includes(calls[name])) {
+      return Promise.reject(new Error(`${name} failed`));
+    }
+    return Promise.resolve(answer());
+  }
+
+  return {
+    calls,
+    startRound: ({ grid, mines }) =>
+      call("startRound", () => {
+        revealed = 0;
+        return { roundId: `r${calls.startRound}`, status: "active", grid, mines };
+      }),
+    revealTile: (roundId, { row, col }) =>
+      call("revealTile", () => {
+        const face = row === 0 && col === 0 ? "bomb" : "diamond";
+        if (face === "diamond") revealed += 1;
+        const status = face === "bomb" ? "lost" : revealed === 8 ? "won" : "active";
+        return {
+          roundId,
+          face,
+          status,
+          multiplier: face === "bomb" ? 0 : 2 * revealed,
+          bombPositions: status === "active" ? null : layout,
+        };
+      }),
+    cashOut: (roundId) =>
+      call("cashOut", () => ({
+        roundId,
+        status: "cashed-out",
+        multiplier: 2 * revealed,
+        bombPositions: layout,
+      })),
+  };
+}
+
+function boundSession(transport, opts) {
+  const errors = [];
+  const binding = createServerBinding(transport, { onError: (e) => errors.push(e.message) });
+  const session = createMinesSession({ grid: 3, mines: 1, ...opts, ...binding.options });
+  binding.attach(session.api);
+  return { session, errors };
+}
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+test("cash-outs are paid and settled at the server's multiplier", async () => {
+  const wallet = createDemoWallet({ balance: 100 });
+  const { session } = boundSession(fakeTransport(), { wallet });
+  const cashOuts = [];
+  session.api.on("cashOut", ({ multiplier, payout }) => cashOuts.push({ multiplier, payout }));
+
+  await session.api.placeBet(10);
+  session.activate(1, 1);
+  await settle();
+  session.activate(2, 2);
+  await settle();
+  assert.equal(session.getState().revealedSafe, 2);
+  assert.notEqual(session.getState().currentMultiplier, 4);
+
+  assert.deepEqual(await session.api.cashOut(), { multiplier: 4, payout: 40 });
+  assert.deepEqual(cashOuts, [{ multiplier: 4, payout: 40 }]);
+  assert.equal(session.api.getHistory()[0].multiplier, 4);
+  await settle();
+  assert.equal((await session.api.getBalance()).amount, 130);
+  session.destroy();
+});
+
+test("a cleared board is paid at the multiplier of the last reveal", async () => {
+  const { session } = boundSession(fakeTransport(), { selectionLimit: 8 });
+  const won = new Promise((resolve) => session.api.on("win", resolve));
+
+  for (let i = 1; i < 9; i++) session.activate(Math.floor(i / 3), i % 3);
+  const { multiplier } = await won;
+  assert.equal(multiplier, 16);
+  session.destroy();
+});
+
+test("a failed reveal starts the board over instead of leaving the pick stuck", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const transport = fakeTransport({ failures: { revealTile: [1] } });
+  const { session, errors } = boundSession(transport);
+
+  session.activate(1, 1);
+  await settle();
+  assert.deepEqual(errors, ["revealTile failed"]);
+  assert.deepEqual(session.getState().selectedTiles, []);
+  assert.equal(session.canInteract(1, 1), true);
+
+  session.activate(1, 1);
+  await settle();
+  assert.equal(session.getState().revealedSafe, 1);
+  assert.equal(transport.calls.startRound, 2);
+  session.destroy();
+});
+
+test("a failed round start is retried by the next pick", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const transport = fakeTransport({ failures: { startRound: [1] } });
+  const { session, errors } = boundSession(transport);
+
+  session.activate(2, 1);
+  await settle();
+  assert.deepEqual(errors, ["startRound failed"]);
+  assert.equal(session.canInteract(2, 1), true);
+  assert.equal(transport.calls.revealTile, 0);
+
+  session.activate(2, 1);
+  await settle();
+  assert.equal(session.getState().revealedSafe, 1);
+  assert.equal(transport.calls.startRound, 2);
+  session.destroy();
+});
+
+test("a failed cash-out request pays nothing", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const wallet = createDemoWallet({ balance: 100 });
+  const transport = fakeTransport({ failures: { cashOut: [1] } });
+  const { session, errors } = boundSession(transport, { wallet });
+  const cashOuts = [];
+  session.api.on("cashOut", (event) => cashOuts.push(event));
+
+  await session.api.placeBet(10);
+  session.activate(1, 1);
+  await settle();
+
+  assert.equal(await session.api.cashOut(), null);
+  assert.deepEqual(errors, ["cashOut failed"]);
+  assert.deepEqual(cashOuts, []);
+  assert.equal((await session.api.getBalance()).amount, 90);
+  session.destroy();
+});
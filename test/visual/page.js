@@ -0,0 +1,44 @@
+// Page side of the visual tests: wraps the harness in plain functions that
+// test/visual/run.js drives through page.evaluate.
+
+import { createMinesHarness } from "../../src/harness.js";
+
+let h = null;
+let layout = [];
+
+// Starts a host-decided round; tiles listed in `bombs` are mines
+async function start({ bombs = [], ...opts } = {}) {
+  if (h) h.destroy();
+  layout = bombs;
+  const isBomb = (row, col) => layout.some((b) => b.row === row && b.col === col);
+  h = await createMinesHarness("#mines", {
+    ...opts,
+    onCardSelected: ({ row, col }) => {
+      if (isBomb(row, col)) h.game.SetSelectedCardIsBomb();
+      else h.game.setSelectedCardIsDiamond();
+    },
+  });
+  await newBoard();
+}
+
+// Next board of the same game, same layout
+async function reset() {
+  h.game.reset();
+  await newBoard();
+}
+
+async function newBoard() {
+  h.game.setBoardLayout(layout);
+  // Let the spawn animation finish
+  await h.advance(1000);
+}
+
+window.visual = {
+  start,
+  reset,
+  pick: (row, col) => h.pick(row, col),
+  advance: (ms) => h.advance(ms),
+  cashOut: () => h.game.cashOut(),
+  snapshot: () => h.snapshot(),
+};
+window.visualReady = true;
@@ -0,0 +1,95 @@
+// Scripted rounds for the visual tests. Each step is one of
+//   { pick: [row, col] }   pick a tile like a keyboard user
+//   { advance: ms }        render ms of game time
+//   { cashOut: true }      cash out
+//   { reset: true }        next board, same layout
+//   { snapshot: name }     compare the frame with golden/<round>-<name>.png
+// `bombs` is the mine layout; outcomes follow it.
+
+export const rounds = [
+  {
+    name: "start",
+    grid: 5,
+    mines: 3,
+    bombs: [{ row: 0, col: 4 }, { row: 2, col: 1 }, { row: 4, col: 3 }],
+    steps: [{ snapshot: "board" }],
+  },
+  {
+    name: "diamond",
+    grid: 5,
+    mines: 3,
+    bombs: [{ row: 0, col: 4 }, { row: 2, col: 1 }, { row: 4, col: 3 }],
+    steps: [
+      { pick: [2, 2] },
+      { advance: 100 },
+      { snapshot: "selected" },
+      { advance: 1500 },
+      { snapshot: "revealed" },
+    ],
+  },
+  {
+    name: "bomb",
+    grid: 5,
+    mines: 3,
+    bombs: [{ row: 0, col: 4 }, { row: 2, col: 1 }, { row: 4, col: 3 }],
+    steps: [
+      { pick: [1, 1] },
+      { advance: 1500 },
+      { pick: [2, 1] },
+      { advance: 1000 },
+      { snapshot: "exploding" },
+      { advance: 3000 },
+      { snapshot: "lost" },
+    ],
+  },
+  {
+    name: "cash-out",
+    grid: 5,
+    mines: 3,
+    bombs: [{ row: 0, col: 4 }, { row: 2, col: 1 }, { row: 4, col: 3 }],
+    steps: [
+      { pick: [0, 0] },
+      { advance: 1500 },
+      { pick: [3, 3] },
+      { advance: 1500 },
+      { cashOut: true },
+      { advance: 3000 },
+      { snapshot: "popup" },
+    ],
+  },
+  {
+    name: "won",
+    grid: 3,
+    mines: 8,
+    bombs: [
+      { row: 0, col: 0 }, { row: 0, col: 1 }, { row: 0, col: 2 },
+      { row: 1, col: 0 }, { row: 1, col: 2 },
+      { row: 2, col: 0 }, { row: 2, col: 1 }, { row: 2, col: 2 },
+    ],
+    steps: [
+      { pick: [1, 1] },
+      { advance: 2000 },
+      { snapshot: "coins" },
+    ],
+  },
+  {
+    // HUD ladder and the win streak it reads from the round history
+    name: "hud",
+    grid: 5,
+    mines: 3,
+    hudEnabled: true,
+    bombs: [{ row: 0, col: 4 }, { row: 2, col: 1 }, { row: 4, col: 3 }],
+    steps: [
+      { pick: [0, 0] },
+      { advance: 1500 },
+      { cashOut: true },
+      { advance: 1500 },
+      { reset: true },
+      { pick: [1, 1] },
+      { advance: 1500 },
+      { pick: [3, 3] },
+      { advance: 1500 },
+      { snapshot: "streak" },
+    ],
+  },
+];
@@ -0,0 +1,133 @@
+// Visual regression runner: serves test/visual/index.html through Vite, plays
+// the rounds from rounds.js in headless Chrome with software WebGL, and
+// compares every snapshot byte for byte with the PNGs in golden/.
+//
+//   node test/visual/run.js                compare
+//   node test/visual/run.js --update       rewrite the goldens
+//   node test/visual/run.js bomb won       only these rounds
+//
+// Mismatching frames are written to test/visual/output/ for inspection.
+// Page errors and console errors (the game's emitters log failing
+// listeners instead of throwing) fail the run too.
+
+import { mkdir, readFile, rm, writeFile } from "node:fs/promises";
+import { dirname, join, relative } from "node:path";
+import { fileURLToPath } from "node:url";
+import { createServer } from "vite";
+import puppeteer from "puppeteer";
+import { rounds } from "./rounds.js";
+
+const here = dirname(fileURLToPath(import.meta.url));
+const root = join(here, "../..");
+const goldenDir = join(here, "golden");
+const outputDir = join(here, "output");
+
+const args = process.argv.slice(2);
+const update = args.includes("--update");
+const only = args.filter((arg) => !arg.startsWith("--"));
+
+const selected = only.length ? rounds.filter((r) => only.includes(r.name)) : rounds;
+const unknown = only.filter((name) => !rounds.some((r) => r.name === name));
+if (unknown.length) {
+  console.error(`Unknown rounds: ${unknown.join(", ")}`);
+  process.exit(1);
+}
+
+const pngOf = (dataUrl) => Buffer.from(dataUrl.split(",")[1], "base64");
+
+async function readGolden(file) {
+  try {
+    return await readFile(file);
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+async function playRound(page, { name, steps, ...options }, failures) {
+  await page.evaluate((opts) => window.visual.start(opts), options);
+
+  for (const step of steps) {
+    if (step.pick) {
+      await page.evaluate(([row, col]) => window.visual.pick(row, col), step.pick);
+    } else if (step.advance) {
+      await page.evaluate((ms) => window.visual.advance(ms), step.advance);
+    } else if (step.cashOut) {
+      await page.evaluate(() => window.visual.cashOut());
+    } else if (step.reset) {
+      await page.evaluate(() => window.visual.reset());
+    } else if (step.snapshot) {
+      const file = `${name}-${step.snapshot}.png`;
+      const actual = pngOf(await page.evaluate(() => window.visual.snapshot()));
+
+      if (update) {
+        await writeFile(join(goldenDir, file), actual);
+        console.log(`  updated ${file}`);
+        continue;
+      }
+
+      const golden = await readGolden(join(goldenDir, file));
+      if (golden && golden.equals(actual)) {
+        console.log(`  ok      ${file}`);
+      } else {
+        await mkdir(outputDir, { recursive: true });
+        await writeFile(join(outputDir, file), actual);
+        console.log(`  ${golden ? "differs" : "missing"} ${file}`);
+        failures.push(file);
+      }
+    } else {
+      throw new Error(`${name}: unknown step ${JSON.stringify(step)}`);
+    }
+  }
+}
+
+const server = await createServer({
+  root,
+  configFile: false,
+  logLevel: "error",
+  server: { host: "127.0.0.1", port: 5174, open: false },
+});
+let browser;
+const failures = [];
+const errors = [];
+
+try {
+  await server.listen();
+  const url = new URL("test/visual/index.html", server.resolvedUrls.local[0]);
+
+  browser = await puppeteer.launch({
+    headless: "shell",
+    args: ["--use-angle=swiftshader", "--enable-unsafe-swiftshader"],
+  });
+  const page = await browser.newPage();
+  await page.setViewport({ width: 480, height: 480, deviceScaleFactor: 1 });
+  page.on("pageerror", (error) => errors.push(`page error: ${error.message}`));
+  page.on("console", (message) => {
+    if (message.type() === "error") errors.push(`console error: ${message.text()}`);
+  });
+  await page.goto(url.href);
+  await page.waitForFunction(() => window.visualReady === true);
+
+  await rm(outputDir, { recursive: true, force: true });
+  if (update) await mkdir(goldenDir, { recursive: true });
+
+  for (const round of selected) {
+    console.log(round.name);
+    await playRound(page, round, failures);
+  }
+} finally {
+  await browser?.close();
+  await server.close();
+}
+
+if (errors.length) {
+  console.error(`\n${errors.join("\n")}`);
+  process.exitCode = 1;
+}
+if (failures.length) {
+  console.error(
+    `\n${failures.length} snapshot(s) don't match; actual frames are in ` +
+      `${relative(root, outputDir)}/. Run with --update to accept them.`
+  );
+  process.exitCode = 1;
+}